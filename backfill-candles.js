@@ -0,0 +1,185 @@
+import { ethers } from 'ethers';
+import { loadPoolRegistry, resolvePool } from './lib/pools.js';
+import { calculatePriceFromSqrtPriceX96, toBaseQuoteAmounts, toSwapVolume } from './lib/pool-math.js';
+import { buildCandles, fillMissingCandles, getCandleStart } from './lib/candles.js';
+import { createStore, connectStorage, closeStorage } from './lib/stores/index.js';
+import { parseArgs } from './lib/args.js';
+import { createRpcFromConfig } from './lib/rpc.js';
+import { getConfig } from './lib/config.js';
+import { createMulticall } from './lib/multicall.js';
+
+// Rebuilds candles for a block range from the pool's Swap logs, e.g. after downtime:
+//   node backfill-candles.js --from-block 51000000 --to-block 51050000
+//   node backfill-candles.js --hours 6 --pool 0x6fb3...
+// Intervals between swaps get flat `missing` candles carrying the last close. Existing candles are never
+// overwritten (only filled `missing` ones are replaced by real ones), so it is safe to run over ranges
+// that are partly stored. Rollups over the range are rebuilt afterwards.
+
+const LOG_CHUNK_SIZE = 2000; // Blocks per eth_getLogs request
+const BLOCK_BATCH_SIZE = 10; // Parallel getBlock / balanceOf requests
+
+const POOL_ABI = [
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)'
+];
+
+const ERC20_ABI = [
+  'function balanceOf(address) external view returns (uint256)'
+];
+
+// Estimate the block `hours` ago from the recent average block time
+async function estimateBlockHoursAgo(provider, latestBlock, hours) {
+  const sampleSize = 10000;
+  const [latest, sample] = await Promise.all([
+    provider.getBlock(latestBlock),
+    provider.getBlock(Math.max(0, latestBlock - sampleSize))
+  ]);
+  const secondsPerBlock = (latest.timestamp - sample.timestamp) / sampleSize;
+  return Math.max(0, latestBlock - Math.ceil((hours * 3600) / secondsPerBlock));
+}
+
+// Run fn over items in small parallel batches
+async function inBatches(items, fn) {
+  const results = [];
+  for (let i = 0; i < items.length; i += BLOCK_BATCH_SIZE) {
+    results.push(...await Promise.all(items.slice(i, i + BLOCK_BATCH_SIZE).map(fn)));
+  }
+  return results;
+}
+
+async function fetchSwapLogs(poolContract, fromBlock, toBlock) {
+  const logs = [];
+  for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK_SIZE) {
+    const end = Math.min(start + LOG_CHUNK_SIZE - 1, toBlock);
+    const chunk = await poolContract.queryFilter('Swap', start, end);
+    logs.push(...chunk);
+    console.log(`  🔍 Blocks ${start}-${end}: ${chunk.length} swaps (${logs.length} total)`);
+  }
+  return logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+}
+
+async function backfill() {
+  const args = parseArgs(process.argv.slice(2));
+
+  console.log('═'.repeat(70));
+  console.log('⏪ CANDLE BACKFILL FROM SWAP LOGS');
+  console.log('═'.repeat(70));
+
+  try {
+    const config = getConfig();
+    const rpc = createRpcFromConfig(config);
+    if (!rpc) {
+      throw new Error('Set SONIC_RPC_URL (or SONIC_RPC_URLS) to read Swap logs');
+    }
+    const { provider } = rpc;
+    const entries = loadPoolRegistry(config.poolsFile);
+    const entry = args.pool
+      ? entries.find(e => e.address === args.pool.toLowerCase())
+      : entries[0];
+    if (!entry) {
+      throw new Error(`Pool ${args.pool} is not in ${config.poolsFile}`);
+    }
+    const pool = await resolvePool(entry, provider);
+
+    const latestBlock = await provider.getBlockNumber();
+    const toBlock = args['to-block'] ? parseInt(args['to-block']) : latestBlock;
+    let fromBlock;
+    if (args['from-block']) {
+      fromBlock = parseInt(args['from-block']);
+    } else if (args.hours) {
+      fromBlock = await estimateBlockHoursAgo(provider, toBlock, parseFloat(args.hours));
+    } else {
+      throw new Error('Pass --from-block <n> or --hours <h>');
+    }
+
+    console.log(`Pool: ${pool.name} (${pool.address})`);
+    console.log(`Blocks: ${fromBlock} → ${toBlock}`);
+    console.log(`Candle Period: ${pool.candleInterval / 1000}s\n`);
+
+    await connectStorage();
+    const store = createStore();
+
+    const startTime = Date.now();
+    const poolContract = new ethers.Contract(pool.address, POOL_ABI, provider);
+    const token0Contract = new ethers.Contract(pool.token0.address, ERC20_ABI, provider);
+    const token1Contract = new ethers.Contract(pool.token1.address, ERC20_ABI, provider);
+    const multicall = createMulticall(provider);
+
+    const logs = await fetchSwapLogs(poolContract, fromBlock, toBlock);
+    if (logs.length === 0) {
+      console.log('\nℹ️  No swaps in this block range, nothing to backfill');
+      return;
+    }
+
+    // Block timestamps for every block that contains a swap
+    const blockNumbers = [...new Set(logs.map(log => log.blockNumber))];
+    console.log(`\n🕐 Fetching timestamps for ${blockNumbers.length} blocks...`);
+    const blocks = await inBatches(blockNumbers, n => provider.getBlock(n));
+    const blockTimestamps = new Map(blocks.map(block => [block.number, block.timestamp * 1000]));
+
+    const ticks = logs.map(log => {
+      const { amount0, amount1, sqrtPriceX96, liquidity } = log.args;
+      return {
+        timestamp: blockTimestamps.get(log.blockNumber),
+        block_number: log.blockNumber,
+        block_timestamp: blockTimestamps.get(log.blockNumber),
+        price: calculatePriceFromSqrtPriceX96(sqrtPriceX96, pool),
+        liquidity: liquidity.toString(),
+        swap: toSwapVolume(amount0, amount1, pool)
+      };
+    });
+
+    const candles = buildCandles(pool.address, ticks, pool.candleInterval);
+    candles.forEach(candle => { candle.source = 'backfill'; });
+
+    // Reserves as of the last swap in each candle
+    console.log(`💰 Reading reserves for ${candles.length} candles...`);
+    const lastBlockByCandle = new Map();
+    for (const tick of ticks) {
+      lastBlockByCandle.set(getCandleStart(tick.timestamp, pool.candleInterval), tick.block_number);
+    }
+    await inBatches(candles, async candle => {
+      const blockTag = lastBlockByCandle.get(candle.timestamp);
+      const [[reserve0], [reserve1]] = await multicall.aggregate([
+        { contract: token0Contract, method: 'balanceOf', args: [pool.address] },
+        { contract: token1Contract, method: 'balanceOf', args: [pool.address] }
+      ], blockTag);
+      const { base_amount, quote_amount } = toBaseQuoteAmounts(reserve0, reserve1, pool);
+      candle.weth_amount = base_amount;
+      candle.usdc_amount = quote_amount;
+    });
+
+    // Intervals without a swap carry the previous close forward, flagged `missing` with no
+    // samples like the engine's filled candles, so the grid between the first and last swap has no holes
+    const filled = candles.slice(1).flatMap((candle, i) => fillMissingCandles(candles[i], candle.timestamp, pool.candleInterval));
+    const grid = [...candles, ...filled].sort((a, b) => a.timestamp - b.timestamp);
+
+    console.log(`💾 Upserting ${grid.length} candles (${filled.length} without swaps)...`);
+    const result = await store.upsertCandles(grid);
+
+    console.log('🧮 Rebuilding 1m-1d rollups...');
+    const rollups = await store.rebuildRollups(pool.address, pool.candleInterval, candles[0].timestamp, candles[candles.length - 1].timestamp);
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+    console.log('\n' + '═'.repeat(70));
+    console.log('🎉 BACKFILL COMPLETED!');
+    console.log('═'.repeat(70));
+    console.log(`   🔁 Swaps processed: ${logs.length}`);
+    console.log(`   🕯️  Candles built: ${candles.length}`);
+    console.log(`   ➖ Flat candles for intervals without swaps: ${filled.length}`);
+    console.log(`   ✅ Inserted: ${result.inserted}`);
+    console.log(`   🩹 Replaced filled (missing) candles: ${result.replaced}`);
+    console.log(`   🧮 Rollup candles rebuilt: ${rollups}`);
+    console.log(`   ⚠️  Already stored (kept): ${result.existing}`);
+    console.log(`   🕐 Range: ${new Date(candles[0].timestamp).toISOString()} → ${new Date(candles[candles.length - 1].timestamp).toISOString()}`);
+    console.log(`⏱️  Duration: ${duration} seconds\n`);
+  } catch (error) {
+    console.error('\n❌ Backfill failed:', error.message);
+    process.exit(1);
+  } finally {
+    await closeStorage();
+  }
+
+  process.exit(0);
+}
+
+backfill();
@@ -0,0 +1,112 @@
+import fs from 'fs';
+import { loadPoolRegistry, resolvePool } from './lib/pools.js';
+import { createReplaySource } from './lib/sources/replay.js';
+import { loadCandles, candlesToTicks, runBacktest } from './lib/backtest.js';
+import { parseArgs } from './lib/args.js';
+import { createRpcFromConfig } from './lib/rpc.js';
+import { getConfig } from './lib/config.js';
+import { createStore, connectStorage, closeStorage } from './lib/stores/index.js';
+
+// Replays stored history through the strategy with other parameters. Only reads from the configured storage.
+//   node backtest.js --hours 24 --range 0.2 --confirm 2
+//   node backtest.js --from 2025-01-01T00:00:00Z --to 2025-01-02T00:00:00Z --candle-interval 60000
+//   node backtest.js --file ticks.jsonl --range 0.5 --out backtest.json
+//   node backtest.js --strategy '{"name":"volatility","measure":"atr","multiplier":3}'
+
+// --strategy takes a name (immediate, volatility, ...) or a JSON { name, ...options } object
+function parseStrategy(value) {
+  return value.trim().startsWith('{') ? JSON.parse(value) : value;
+}
+
+async function backtest() {
+  const args = parseArgs(process.argv.slice(2));
+
+  console.log('═'.repeat(70));
+  console.log('🧪 STRATEGY BACKTEST');
+  console.log('═'.repeat(70));
+
+  try {
+    const settings = getConfig();
+    const entries = loadPoolRegistry(settings.poolsFile);
+    const entry = args.pool
+      ? entries.find(e => e.address === args.pool.toLowerCase())
+      : entries[0];
+    if (!entry) {
+      throw new Error(`Pool ${args.pool} is not in ${settings.poolsFile}`);
+    }
+    const pool = await resolvePool(entry, createRpcFromConfig(settings)?.provider ?? null);
+
+    // Ticks from a RECORD_FILE recording, or expanded from stored candles
+    let ticks = [];
+    if (args.file) {
+      const source = createReplaySource({ file: args.file, pool });
+      let tick;
+      while ((tick = await source.fetch())) {
+        ticks.push(tick);
+      }
+    } else {
+      const to = args.to ? new Date(args.to) : new Date();
+      const from = args.from
+        ? new Date(args.from)
+        : new Date(to.getTime() - parseFloat(args.hours || '24') * 60 * 60 * 1000);
+
+      await connectStorage();
+      const candles = await loadCandles(createStore(), pool.address, from, to);
+      console.log(`📥 Loaded ${candles.length} candles (${from.toISOString()} → ${to.toISOString()})`);
+      ticks = candlesToTicks(candles);
+    }
+
+    if (ticks.length === 0) {
+      console.log('\nℹ️  No history in this range, nothing to backtest');
+      return;
+    }
+
+    const startTime = Date.now();
+    const result = await runBacktest({
+      pool,
+      ticks,
+      rangePercentage: args.range ? parseFloat(args.range) : pool.rangePercentage,
+      candleInterval: args['candle-interval'] ? parseInt(args['candle-interval']) : pool.candleInterval,
+      confirmCandles: args.confirm !== undefined ? parseInt(args.confirm) : 1,
+      ...(args.strategy && { strategy: parseStrategy(args.strategy) }),
+      lpCapital: args.capital ? parseFloat(args.capital) : 10000
+    });
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+    const { config, summary } = result;
+    console.log(`\nPool: ${pool.name} (${pool.address})`);
+    console.log(`Range: ±${config.rangePercentage}% | Candle: ${config.candleInterval / 1000}s | Strategy: ${JSON.stringify(config.strategy)}`);
+
+    console.log('\n🔄 Rebalances:');
+    result.timeline
+      .filter(position => position.status.startsWith('Open-'))
+      .forEach(position => {
+        console.log(`  ${position.timestamp.toISOString()} | ${position.status} | $${position.close.toFixed(2)} | Range ${position.lower_range.toFixed(2)} - ${position.upper_range.toFixed(2)} | Cost $${position.cost.toFixed(2)}`);
+      });
+
+    console.log('\n' + '═'.repeat(70));
+    console.log('📊 BACKTEST RESULTS');
+    console.log('═'.repeat(70));
+    console.log(`   🕐 Period: ${summary.from.toISOString()} → ${summary.to.toISOString()}`);
+    console.log(`   🕯️  Candles: ${summary.candles}`);
+    console.log(`   🔄 Rebalances: ${summary.rebalances}`);
+    console.log(`   🎯 Time in range: ${summary.timeInRangePct !== null ? summary.timeInRangePct.toFixed(2) : '-'}%`);
+    console.log(`   💰 Final value: $${summary.finalValue.toFixed(2)} (PnL $${summary.totalPnl.toFixed(2)}, vs HODL $${summary.pnlVsHodl.toFixed(2)})`);
+    console.log(`   💸 Fees earned: $${summary.totalFees.toFixed(2)} | Costs paid: $${summary.totalCosts.toFixed(2)}`);
+    console.log(`⏱️  Duration: ${duration} seconds\n`);
+
+    if (args.out) {
+      fs.writeFileSync(args.out, JSON.stringify(result, null, 2));
+      console.log(`📝 Full result written to ${args.out}`);
+    }
+  } catch (error) {
+    console.error('\n❌ Backtest failed:', error.message);
+    process.exit(1);
+  } finally {
+    await closeStorage();
+  }
+
+  process.exit(0);
+}
+
+backtest();
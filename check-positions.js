@@ -1,16 +1,12 @@
-import { connectDB } from './db.js';
-import Position from './models/Position.js';
+import { createStore, connectStorage } from './lib/stores/index.js';
 
 async function checkPositions() {
   try {
-    console.log('🔗 Connecting to MongoDB...');
-    await connectDB();
+    console.log('🔗 Connecting to storage...');
+    await connectStorage();
 
     // Get the last 20 positions to see the flow
-    const positions = await Position.find()
-      .sort({ timestamp: -1 })
-      .limit(20)
-      .lean();
+    const positions = await createStore().findPositions({ sort: -1, limit: 20 });
 
     console.log('\n📊 Last 20 Position Records:\n');
     console.log('Timestamp'.padEnd(25), 'Status'.padEnd(30), 'Rebalance Type'.padEnd(20), 'Upper Range'.padEnd(12), 'Lower Range');
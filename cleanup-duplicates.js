@@ -1,12 +1,12 @@
-import { connectDB, mongoose } from './db.js';
+import { connectMongoStorage, closeStorage } from './lib/stores/index.js';
 import Candle from './models/Candle.js';
 import Position from './models/Position.js';
 
 console.log('══════════════════════════════════════════════════════════════════════');
 console.log('🧹 MONGODB DUPLICATE CLEANUP TOOL');
 console.log('══════════════════════════════════════════════════════════════════════');
-console.log('This script will remove duplicate entries based on timestamps.');
-console.log('Only the oldest entry for each timestamp will be kept.\n');
+console.log('This script will remove duplicate entries based on pool + timestamp.');
+console.log('Only the oldest entry for each pool and timestamp will be kept.\n');
 
 async function removeDuplicates(Model, collectionName) {
   console.log(`\n📊 Cleaning ${collectionName}...`);
@@ -16,10 +16,10 @@ async function removeDuplicates(Model, collectionName) {
     const allDocs = await Model.find({}).sort({ timestamp: 1 }).lean();
     console.log(`   Found ${allDocs.length} total documents`);
 
-    // Group by timestamp
+    // Group by pool + timestamp
     const timestampMap = new Map();
     for (const doc of allDocs) {
-      const timestampKey = new Date(doc.timestamp).getTime();
+      const timestampKey = `${doc.pool}:${new Date(doc.timestamp).getTime()}`;
       if (!timestampMap.has(timestampKey)) {
         timestampMap.set(timestampKey, []);
       }
@@ -72,15 +72,16 @@ async function recreateUniqueIndexes() {
     await Position.collection.dropIndexes();
 
     // Recreate unique indexes
-    console.log(`   Creating unique index on candles.timestamp...`);
-    await Candle.collection.createIndex({ timestamp: -1 }, { unique: true });
+    console.log(`   Creating unique index on candles.pool + timestamp...`);
+    await Candle.collection.createIndex({ pool: 1, timestamp: -1 }, { unique: true });
 
-    console.log(`   Creating unique index on positions.timestamp...`);
-    await Position.collection.createIndex({ timestamp: -1 }, { unique: true });
+    console.log(`   Creating unique index on positions.pool + timestamp...`);
+    await Position.collection.createIndex({ pool: 1, timestamp: -1 }, { unique: true });
 
     // Create other indexes
     console.log(`   Creating additional indexes...`);
     await Candle.collection.createIndex({ createdAt: -1 });
+    await Position.collection.createIndex({ timestamp: -1 });
     await Position.collection.createIndex({ createdAt: -1 });
     await Position.collection.createIndex({ status: 1, timestamp: -1 });
 
@@ -95,7 +96,7 @@ async function recreateUniqueIndexes() {
 async function main() {
   try {
     // Connect to MongoDB
-    await connectDB();
+    await connectMongoStorage();
 
     const startTime = Date.now();
 
@@ -128,12 +129,13 @@ async function main() {
     console.log('══════════════════════════════════════════════════════════════════════\n');
 
   } catch (error) {
-    console.error('\n❌ Cleanup failed:', error);
+    console.error('\n❌ Cleanup failed:', error.message);
     process.exit(1);
   } finally {
-    await mongoose.connection.close();
-    process.exit(0);
+    await closeStorage();
   }
+
+  process.exit(0);
 }
 
 main();
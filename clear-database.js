@@ -1,21 +1,21 @@
-import { connectDB } from './db.js';
-import Candle from './models/Candle.js';
-import Position from './models/Position.js';
+import { createStore, connectStorage, closeStorage } from './lib/stores/index.js';
 
 async function clearDatabase() {
   try {
-    console.log('🔗 Connecting to MongoDB...');
-    await connectDB();
+    console.log('🔗 Connecting to storage...');
+    await connectStorage();
 
     console.log('\n🗑️  Clearing database...');
     
-    // Delete all candles
-    const candleResult = await Candle.deleteMany({});
-    console.log(`✅ Deleted ${candleResult.deletedCount} candles`);
-
-    // Delete all positions
-    const positionResult = await Position.deleteMany({});
-    console.log(`✅ Deleted ${positionResult.deletedCount} positions`);
+    // Candles with their rollups, positions, depth snapshots, and the engine
+    // checkpoints so the next start opens a new range
+    const deleted = await createStore().clear();
+    await closeStorage();
+    console.log(`✅ Deleted ${deleted.candles} candles`);
+    console.log(`✅ Deleted ${deleted.rollups} rollup candles`);
+    console.log(`✅ Deleted ${deleted.positions} positions`);
+    console.log(`✅ Deleted ${deleted.liquiditySnapshots} liquidity snapshots`);
+    console.log(`✅ Deleted ${deleted.engineStates} engine states`);
 
     console.log('\n🎉 Database cleared successfully!');
     console.log('   You can now restart the application to start collecting fresh data.');
@@ -1,16 +1,16 @@
-import { connectDB } from './db.js';
-import Position from './models/Position.js';
+import { createStore, connectStorage, closeStorage } from './lib/stores/index.js';
 
 async function clearPositions() {
   try {
-    console.log('🔗 Connecting to MongoDB...');
-    await connectDB();
+    console.log('🔗 Connecting to storage...');
+    await connectStorage();
 
     console.log('🗑️  Deleting all position data...');
-    const result = await Position.deleteMany({});
+    const { positions } = await createStore().clear(['positions']);
+    await closeStorage();
 
     console.log('\n' + '='.repeat(60));
-    console.log(`✅ Successfully deleted ${result.deletedCount} position records`);
+    console.log(`✅ Successfully deleted ${positions} position records`);
     console.log('='.repeat(60));
     console.log('💡 Your system will now start collecting position data with the new correct logic');
     console.log('🚀 Deploy to AWS and restart PM2 to begin fresh!');
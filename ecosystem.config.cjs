@@ -7,6 +7,7 @@ module.exports = {
       autorestart: true,
       watch: false,
       max_memory_restart: '1G',
+      kill_timeout: 10000, // Time to write the final engine checkpoints after SIGINT
       env: {
         NODE_ENV: 'production',
       },
@@ -1,98 +1,99 @@
-import { connectDB } from './db.js';
-import Position from './models/Position.js';
+import { loadPoolRegistry } from './lib/pools.js';
+import { parseArgs } from './lib/args.js';
+import { createStore, connectStorage, closeStorage } from './lib/stores/index.js';
+import { isRebalanceRecord, isRestartRecord } from './lib/ranges.js';
 
-async function fixHistoricalPositions() {
-  try {
-    console.log('🔗 Connecting to MongoDB...');
-    await connectDB();
+// Corrects positions recorded while the range was recalculated on every candle: the bounds
+// set by a rebalance (Open-UP/Open-DOWN) are locked until the next range starts, and the
+// Monitoring/Price-UP/Price-DOWN records in between are rewritten to them. A change of tick
+// bounds without a rebalance is a restart that opened a fresh range and locks its bounds
+// instead; only legacy records without ticks drifted. The boundaries are the ones
+// rebuild-ranges.js uses (lib/ranges.js).
+//   node fix-historical-positions.js
+//   node fix-historical-positions.js --pool <address> --simulated
+// Run it before `npm run ranges`, so the rebuilt ranges carry the corrected positions.
 
-    console.log('📊 Fetching all positions...');
-    const positions = await Position.find().sort({ timestamp: 1 }).lean();
+const POSITION_BATCH_SIZE = 5000;
+const BOUND_FIELDS = ['upper_range', 'lower_range', 'tick_lower', 'tick_upper', 'range_upper_pct', 'range_lower_pct', 'range_width_pct'];
 
-    if (positions.length === 0) {
-      console.log('ℹ️  No positions found to fix');
-      process.exit(0);
-    }
+function lockBounds(position) {
+  return Object.fromEntries(BOUND_FIELDS.filter(field => position[field] != null).map(field => [field, position[field]]));
+}
 
-    console.log(`📝 Found ${positions.length} position records to analyze`);
-    console.log('🔄 Analyzing and fixing position data...\n');
-
-    let currentRanges = null;
-    let updatedCount = 0;
-    let unchangedCount = 0;
-
-    for (let i = 0; i < positions.length; i++) {
-      const pos = positions[i];
-      let needsUpdate = false;
-      let updates = {};
-
-      // Check if this is a rebalance point (Price Out of Range with rebalance type)
-      const isRebalancePoint = (
-        (pos.status.includes('Out of Range')) &&
-        (pos.rebalance_type === 'RebalanceA' || pos.rebalance_type === 'RebalanceB')
-      );
-
-      if (isRebalancePoint) {
-        // This is a rebalance - the NEXT Position Open will have new ranges
-        currentRanges = null; // Reset ranges, next position will set new ones
-        console.log(`  [${new Date(pos.timestamp).toLocaleString()}] ⚠️  Rebalance point: ${pos.rebalance_type} (${pos.status})`);
-        unchangedCount++;
-      }
-      else if (pos.status === 'Position Open') {
-        if (currentRanges === null) {
-          // This is the first Position Open or first after a rebalance
-          // Lock in these ranges
-          currentRanges = {
-            upper_range: parseFloat(pos.upper_range),
-            lower_range: parseFloat(pos.lower_range)
-          };
-          console.log(`  [${new Date(pos.timestamp).toLocaleString()}] 🔒 Locked ranges: Upper=$${currentRanges.upper_range.toFixed(2)}, Lower=$${currentRanges.lower_range.toFixed(2)}`);
-          unchangedCount++;
-        } else {
-          // This Position Open should use the locked ranges
-          const upperDiff = Math.abs(parseFloat(pos.upper_range) - currentRanges.upper_range);
-          const lowerDiff = Math.abs(parseFloat(pos.lower_range) - currentRanges.lower_range);
-
-          if (upperDiff > 0.01 || lowerDiff > 0.01) {
-            // Ranges are different, need to fix
-            updates.upper_range = parseFloat(currentRanges.upper_range.toFixed(2));
-            updates.lower_range = parseFloat(currentRanges.lower_range.toFixed(2));
-            needsUpdate = true;
-            console.log(`  [${new Date(pos.timestamp).toLocaleString()}] 🔧 Fixing: Upper $${parseFloat(pos.upper_range).toFixed(2)}→$${currentRanges.upper_range.toFixed(2)}, Lower $${parseFloat(pos.lower_range).toFixed(2)}→$${currentRanges.lower_range.toFixed(2)}`);
-          } else {
-            unchangedCount++;
-          }
-        }
-      } else {
-        // Other statuses (Price Out of Range without rebalance, etc.)
-        unchangedCount++;
+// Walk a pool's positions oldest first and rewrite the ones that drifted from the locked range
+async function fixPool(store, poolAddress) {
+  let locked = null;
+  const counts = { processed: 0, updated: 0, unchanged: 0 };
+
+  for (let skip = 0; ; skip += POSITION_BATCH_SIZE) {
+    const positions = await store.findPositions({ pool: poolAddress, skip, limit: POSITION_BATCH_SIZE });
+
+    for (const pos of positions) {
+      counts.processed++;
+      const at = new Date(pos.timestamp).toLocaleString();
+
+      const restart = locked !== null && !isRebalanceRecord(pos) && isRestartRecord(pos, locked);
+      if (locked === null || isRebalanceRecord(pos) || restart) {
+        // A rebalance, a restart (or the pool's first record) sets the range the next records keep
+        locked = lockBounds(pos);
+        console.log(`  [${at}] 🔒 Locked ranges (${restart ? 'restart' : pos.status}): Upper=$${locked.upper_range.toFixed(2)}, Lower=$${locked.lower_range.toFixed(2)}`);
+        counts.unchanged++;
+        continue;
       }
 
-      // Apply updates if needed
-      if (needsUpdate) {
-        await Position.updateOne(
-          { _id: pos._id },
-          { $set: updates }
-        );
-        updatedCount++;
+      const upperDiff = Math.abs(pos.upper_range - locked.upper_range);
+      const lowerDiff = Math.abs(pos.lower_range - locked.lower_range);
+      if (upperDiff <= 0.01 && lowerDiff <= 0.01) {
+        counts.unchanged++;
+        continue;
       }
+
+      console.log(`  [${at}] 🔧 Fixing ${pos.status}: Upper $${pos.upper_range.toFixed(2)}→$${locked.upper_range.toFixed(2)}, Lower $${pos.lower_range.toFixed(2)}→$${locked.lower_range.toFixed(2)}`);
+      await store.updatePosition(pos, locked);
+      counts.updated++;
     }
 
-    console.log('\n' + '='.repeat(60));
-    console.log('✅ Migration complete!');
-    console.log('='.repeat(60));
-    console.log(`📊 Total records processed: ${positions.length}`);
-    console.log(`🔧 Records updated: ${updatedCount}`);
-    console.log(`✓ Records unchanged: ${unchangedCount}`);
-    console.log('\n💡 Historical data has been corrected!');
-    console.log('📝 Position Open ranges now stay consistent until rebalance occurs');
-    console.log('\n🚀 You can now deploy the new code to AWS with confidence!');
-
-    process.exit(0);
+    if (positions.length < POSITION_BATCH_SIZE) break;
+  }
+
+  return counts;
+}
+
+async function fixHistoricalPositions() {
+  const args = parseArgs(process.argv.slice(2));
+
+  console.log('═'.repeat(70));
+  console.log('🔧 FIX HISTORICAL POSITIONS');
+  console.log('═'.repeat(70));
+
+  try {
+    const entries = loadPoolRegistry()
+      .filter(entry => !args.pool || entry.address === args.pool.toLowerCase());
+    if (entries.length === 0) {
+      throw new Error(`Pool ${args.pool} is not in the pool registry`);
+    }
+
+    await connectStorage();
+    const store = createStore({ simulated: Boolean(args.simulated) });
+
+    for (const entry of entries) {
+      console.log(`\n${entry.name} (${entry.address})`);
+      const { processed, updated, unchanged } = await fixPool(store, entry.address);
+      console.log(`  📊 Records processed: ${processed}`);
+      console.log(`  🔧 Records updated: ${updated}`);
+      console.log(`  ✓ Records unchanged: ${unchanged}`);
+    }
+
+    console.log('\n✅ Positions now keep the range of their rebalance until the next one');
+    console.log('💡 Run `npm run ranges` to rebuild the range records from them\n');
   } catch (error) {
-    console.error('❌ Error fixing positions:', error);
+    console.error('\n❌ Fixing positions failed:', error.message);
     process.exit(1);
+  } finally {
+    await closeStorage();
   }
+
+  process.exit(0);
 }
 
 fixHistoricalPositions();
@@ -1,10 +1,10 @@
-import { connectDB } from './db.js';
+import { connectMongoStorage, closeStorage } from './lib/stores/index.js';
 import Position from './models/Position.js';
 
 async function fixIndex() {
   try {
     console.log('🔗 Connecting to MongoDB...');
-    await connectDB();
+    await connectMongoStorage();
 
     console.log('📋 Checking existing indexes...');
     const indexes = await Position.collection.getIndexes();
@@ -31,12 +31,14 @@ async function fixIndex() {
 
     console.log('\n✅ Index fix complete!');
     console.log('🚀 You can now restart PM2 without duplicate key errors');
-
-    process.exit(0);
   } catch (error) {
-    console.error('❌ Error:', error);
+    console.error('❌ Error:', error.message);
     process.exit(1);
+  } finally {
+    await closeStorage();
   }
+
+  process.exit(0);
 }
 
 fixIndex();
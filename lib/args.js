@@ -0,0 +1,17 @@
+// Minimal `--name value` argument parsing for the command-line scripts. A flag without
+// a value (last argument, or followed by another --flag) is `true`: `--simulated`.
+export function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        args[argv[i].slice(2)] = true;
+      } else {
+        args[argv[i].slice(2)] = next;
+        i++;
+      }
+    }
+  }
+  return args;
+}
@@ -0,0 +1,5 @@
+import { parentPort, workerData } from 'worker_threads';
+import { runBacktest } from './backtest.js';
+
+// Worker thread for runBacktestInWorker (backtest.js): runs one backtest and posts the whole result
+parentPort.postMessage(await runBacktest(workerData));
@@ -0,0 +1,166 @@
+import { Worker } from 'worker_threads';
+import { createEngine } from './engine.js';
+import { createMemoryStore } from './stores/index.js';
+import { createStrategy } from './strategies/index.js';
+
+const SILENT_LOGGER = { log: () => {} };
+const WORKER_FILE = new URL('./backtest-worker.js', import.meta.url);
+
+// Stored candles for a pool, oldest first
+export async function loadCandles(store, poolAddress, from, to) {
+  return store.findCandles({ pool: poolAddress, from, to });
+}
+
+// Base/quote split of a stored candle, as the weth_pct/usdc_pct a live tick carries
+function candleDistribution(candle, price) {
+  const baseValue = (candle.weth_amount || 0) * price;
+  const totalValue = baseValue + (candle.usdc_amount || 0);
+  if (totalValue === 0) {
+    return { usdc_pct: 50, weth_pct: 50 };
+  }
+  return {
+    usdc_pct: ((candle.usdc_amount || 0) / totalValue) * 100,
+    weth_pct: (baseValue / totalValue) * 100
+  };
+}
+
+// Expand stored candles into ticks (open, low/high, close) the engine can replay.
+// The intra-candle path is a guess: down candles visit the high first, up candles the low.
+// Swap volume rides on the close tick so fees still accrue.
+export function candlesToTicks(candles) {
+  const ticks = [];
+
+  // Filled candles carry no data; the engine fills the same gaps again
+  for (const candle of candles.filter(candle => !candle.missing)) {
+    const timestamp = new Date(candle.timestamp).getTime();
+    const path = candle.close >= candle.open
+      ? [candle.open, candle.low, candle.high, candle.close]
+      : [candle.open, candle.high, candle.low, candle.close];
+
+    path.forEach((price, i) => {
+      const tick = {
+        pool: candle.pool,
+        timestamp: timestamp + i,
+        price,
+        liquidity: candle.liquidity,
+        weth_amount: candle.weth_amount,
+        usdc_amount: candle.usdc_amount,
+        ...candleDistribution(candle, price)
+      };
+      if (i === path.length - 1 && (candle.volume_token0 || candle.volume_token1)) {
+        tick.swap = {
+          count: candle.swap_count || 0,
+          volume_token0: candle.volume_token0 || 0,
+          volume_token1: candle.volume_token1 || 0,
+          volume_usd: candle.volume_usd || 0,
+          fees_usd: candle.fees_usd || 0
+        };
+      }
+      ticks.push(tick);
+    });
+  }
+
+  return ticks;
+}
+
+// Replay ticks through the live engine with an in-memory store.
+// Nothing is written to the configured storage. candleInterval should be a multiple of the
+// interval the ticks/candles were recorded at.
+export async function runBacktest({
+  pool,
+  ticks,
+  rangePercentage = pool.rangePercentage,
+  rangeUpperPercentage = rangePercentage,
+  rangeLowerPercentage = rangePercentage,
+  candleInterval = pool.candleInterval,
+  confirmCandles = 1,
+  strategy = { name: 'confirm', confirmCandles }, // Strategy name or { name, ...options }
+  lpCapital = 10000,
+  costs = {}
+}) {
+  const store = createMemoryStore({ rollups: false });
+  const rebalanceStrategy = createStrategy(strategy);
+  const engine = createEngine({
+    pool: { ...pool, rangePercentage, rangeUpperPercentage, rangeLowerPercentage, candleInterval },
+    source: { name: 'replay', description: 'Backtest', fetch: async () => null },
+    store,
+    lpCapital,
+    costs,
+    strategy: rebalanceStrategy,
+    logger: SILENT_LOGGER
+  });
+
+  for (const tick of ticks) {
+    await engine.ingest(tick);
+  }
+
+  const stats = engine.getStats();
+  const lp = engine.getLpPosition();
+
+  return {
+    config: {
+      pool: pool.address,
+      rangePercentage,
+      rangeUpperPercentage,
+      rangeLowerPercentage,
+      candleInterval,
+      confirmCandles,
+      strategy: rebalanceStrategy.config,
+      lpCapital
+    },
+    summary: {
+      from: ticks.length > 0 ? new Date(ticks[0].timestamp) : null,
+      to: ticks.length > 0 ? new Date(ticks[ticks.length - 1].timestamp) : null,
+      ticks: ticks.length,
+      candles: stats.closes,
+      rebalances: stats.rebalances,
+      timeInRangePct: stats.timeInRangePct,
+      finalValue: lp ? lp.value : null,
+      totalPnl: lp ? lp.total_pnl : null,
+      pnlVsHodl: lp ? lp.pnl_vs_hodl : null,
+      totalFees: lp ? lp.total_fees : null,
+      totalCosts: lp ? lp.total_costs : null
+    },
+    timeline: (await store.findPositions()).map(position => ({
+      timestamp: new Date(position.timestamp),
+      status: position.status,
+      lower_range: position.lower_range,
+      upper_range: position.upper_range,
+      tick_lower: position.tick_lower,
+      tick_upper: position.tick_upper,
+      range_width_pct: position.range_width_pct,
+      close: position.close,
+      value: position.lp ? position.lp.value : null,
+      cost: position.cost ? position.cost.total : null
+    }))
+  };
+}
+
+// runBacktest() on a worker thread, for callers whose event loop must keep running
+// (the API server shares it with the live engines). The worker is terminated after
+// `timeoutMs` (0 = no limit) or when `signal` aborts, and the promise rejects.
+export function runBacktestInWorker(options, { timeoutMs = 0, signal = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_FILE, { workerData: options });
+    let stopReason = null;
+    const stop = reason => {
+      stopReason = reason;
+      worker.terminate();
+    };
+    const timer = timeoutMs > 0 ? setTimeout(() => stop(`Backtest timed out after ${timeoutMs / 1000}s`), timeoutMs) : null;
+    const onAbort = () => stop('Backtest aborted');
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', code => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      if (stopReason) {
+        reject(new Error(stopReason));
+      } else if (code !== 0) {
+        reject(new Error(`Backtest worker exited with code ${code}`));
+      }
+    });
+  });
+}
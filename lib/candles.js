@@ -0,0 +1,128 @@
+// Candle building shared by the live engine and the backfill/replay tools
+
+// Higher timeframes the base candles are rolled up into (see lib/stores)
+export const TIMEFRAMES = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+// Timeframes a pool's base candles can be rolled up into (whole multiples of its candle interval)
+export function getRollupTimeframes(candleInterval) {
+  return Object.entries(TIMEFRAMES)
+    .filter(([, ms]) => ms > candleInterval && ms % candleInterval === 0)
+    .map(([interval]) => interval);
+}
+
+// Start of the candle interval a timestamp falls into
+export function getCandleStart(timestamp, candleInterval) {
+  return Math.floor(timestamp / candleInterval) * candleInterval;
+}
+
+// Start a new candle from the first tick of its interval
+export function createCandle(poolAddress, candleStart, data) {
+  const candle = {
+    pool: poolAddress,
+    timestamp: candleStart,
+    open: data.price,
+    high: data.price,
+    low: data.price,
+    close: data.price,
+    liquidity: data.liquidity,
+    weth_amount: data.weth_amount,
+    usdc_amount: data.usdc_amount,
+    swap_count: 0,
+    volume_token0: 0,
+    volume_token1: 0,
+    volume_usd: 0,
+    fees_usd: 0,
+    sample_count: data.carried ? 0 : 1, // Ticks actually observed in the interval
+    missing: false,
+    block_number: data.block_number ?? null, // Block (and its chain time) the close was read at
+    block_timestamp: data.block_timestamp ?? null
+  };
+  addSwap(candle, data);
+  return candle;
+}
+
+// Flat candles carrying `previous`'s close through every interval skipped before `nextStart`,
+// flagged `missing` with no samples so they can be told apart from real data
+export function fillMissingCandles(previous, nextStart, candleInterval) {
+  const filled = [];
+
+  for (let start = previous.timestamp + candleInterval; start < nextStart; start += candleInterval) {
+    filled.push({
+      pool: previous.pool,
+      source: previous.source,
+      timestamp: start,
+      open: previous.close,
+      high: previous.close,
+      low: previous.close,
+      close: previous.close,
+      liquidity: previous.liquidity,
+      weth_amount: previous.weth_amount,
+      usdc_amount: previous.usdc_amount,
+      swap_count: 0,
+      volume_token0: 0,
+      volume_token1: 0,
+      volume_usd: 0,
+      fees_usd: 0,
+      sample_count: 0,
+      missing: true,
+      block_number: null,
+      block_timestamp: null
+    });
+  }
+
+  return filled;
+}
+
+// Fold a later tick of the same interval into the candle
+export function updateCandleWithTick(candle, data) {
+  candle.high = Math.max(candle.high, data.price);
+  candle.low = Math.min(candle.low, data.price);
+  candle.close = data.price;
+  candle.liquidity = data.liquidity;
+  candle.weth_amount = data.weth_amount;
+  candle.usdc_amount = data.usdc_amount;
+  if (!data.carried) {
+    candle.sample_count++;
+  }
+  if (data.block_number != null) {
+    candle.block_number = data.block_number;
+    candle.block_timestamp = data.block_timestamp ?? null;
+  }
+  addSwap(candle, data);
+}
+
+// Ticks carry the traded size of one Swap (swap ingestion) or of every Swap since the
+// previous fetch (`count` swaps, polling)
+function addSwap(candle, data) {
+  if (data.swap) {
+    candle.swap_count += data.swap.count ?? 1;
+    candle.volume_token0 += data.swap.volume_token0;
+    candle.volume_token1 += data.swap.volume_token1;
+    candle.volume_usd += data.swap.volume_usd || 0;
+    candle.fees_usd += data.swap.fees_usd || 0;
+  }
+}
+
+// Build candles from a time-ordered list of ticks
+export function buildCandles(poolAddress, ticks, candleInterval) {
+  const candles = [];
+  let current = null;
+
+  for (const data of ticks) {
+    const candleStart = getCandleStart(data.timestamp, candleInterval);
+    if (!current || current.timestamp !== candleStart) {
+      current = createCandle(poolAddress, candleStart, data);
+      candles.push(current);
+    } else {
+      updateCandleWithTick(current, data);
+    }
+  }
+
+  return candles;
+}
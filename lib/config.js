@@ -0,0 +1,216 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
+import { parseArgs } from './args.js';
+import { redactUrl } from './rpc.js';
+
+const DEFAULT_CONFIG_FILE = 'config.json';
+
+let current = null; // Loaded configuration (see getConfig)
+let currentOrigins = null; // Where each value came from
+
+// Every setting with its type, default and environment variable. The CLI flag is the
+// kebab-case name (fetchInterval → --fetch-interval). Precedence: default < config file
+// (CONFIG_FILE / --config, config.json when present) < environment < CLI flag.
+const SCHEMA = {
+  port: { type: 'integer', min: 1, max: 65535, default: 3000, env: 'PORT' },
+  // Where candles, positions and checkpoints are kept (see lib/stores)
+  storage: { type: 'enum', values: ['mongodb', 'file', 'memory'], default: 'mongodb', env: 'STORAGE' },
+  dataDir: { type: 'string', default: 'data', env: 'DATA_DIR' },
+  // Required when storage is mongodb
+  mongodbUri: { type: 'string', pattern: /^mongodb(\+srv)?:\/\//, format: 'a mongodb:// or mongodb+srv:// connection string', default: null, env: 'MONGODB_URI', secret: true },
+
+  dataSource: { type: 'enum', values: ['onchain', 'shadow-api', 'replay', 'simulation'], default: 'onchain', env: 'DATA_SOURCE' },
+  shadowApiUrl: { type: 'url', protocols: ['http:', 'https:'], default: 'https://api.shadow.so/mixed-pairs', env: 'SHADOW_API_URL' },
+  fetchInterval: { type: 'integer', min: 500, default: 3000, env: 'FETCH_INTERVAL_MS' },
+  ingestionMode: { type: 'enum', values: ['poll', 'swap', 'block'], default: 'poll', env: 'INGESTION_MODE' },
+  candleClock: { type: 'enum', values: ['local', 'chain'], default: 'local', env: 'CANDLE_CLOCK' },
+  replayFile: { type: 'string', default: null, env: 'REPLAY_FILE' },
+  recordFile: { type: 'string', default: null, env: 'RECORD_FILE' },
+
+  // Pool registry, and the defaults for entries that leave these out
+  poolsFile: { type: 'string', default: 'pools.json', env: 'POOLS_FILE' },
+  rangePercentage: { type: 'number', min: 0, exclusiveMin: true, max: 100, exclusiveMax: true, default: 0.1, env: 'RANGE_PERCENTAGE' },
+  candleInterval: { type: 'integer', min: 1000, default: 10000, env: 'CANDLE_INTERVAL_MS' },
+
+  rpcUrls: { type: 'urls', protocols: ['http:', 'https:'], default: [], env: ['SONIC_RPC_URLS', 'SONIC_RPC_URL'], secret: true },
+  wsUrl: { type: 'url', protocols: ['ws:', 'wss:'], default: null, env: 'SONIC_WS_URL', secret: true },
+  rpcTimeoutMs: { type: 'integer', min: 100, default: 5000, env: 'RPC_TIMEOUT_MS' },
+  rpcRetries: { type: 'integer', min: 0, default: 2, env: 'RPC_RETRIES' },
+  rpcQuorum: { type: 'integer', min: 1, default: 1, env: 'RPC_QUORUM' },
+  rpcMaxBlockLag: { type: 'integer', min: 0, default: 5, env: 'RPC_MAX_BLOCK_LAG' },
+
+  lpCapital: { type: 'number', min: 0, exclusiveMin: true, default: 10000, env: 'LP_CAPITAL' },
+  rebalanceGasS: { type: 'number', min: 0, default: 0.035, env: 'REBALANCE_GAS_S' },
+  sPriceUsd: { type: 'number', min: 0, default: 0.5, env: 'S_PRICE_USD' },
+  depthInterval: { type: 'integer', min: 0, default: 60000, env: 'DEPTH_INTERVAL_MS' },
+  depthPercentage: { type: 'number', min: 0, exclusiveMin: true, max: 100, exclusiveMax: true, default: 5, env: 'DEPTH_PERCENTAGE' },
+
+  simSeed: { type: 'integer', default: 1, env: 'SIM_SEED' },
+  simStartPrice: { type: 'number', min: 0, exclusiveMin: true, default: 3000, env: 'SIM_START_PRICE' },
+  simVolatility: { type: 'number', min: 0, default: 0.6, env: 'SIM_VOLATILITY' },
+  simDrift: { type: 'number', default: 0, env: 'SIM_DRIFT' }
+};
+
+export class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+function toFlag(key) {
+  return key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+function checkUrl(value, protocols) {
+  try {
+    return protocols.includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function formatProtocols(protocols) {
+  return protocols.map(protocol => `${protocol}//`).join(' or ');
+}
+
+// Coerce a raw value (string from env/CLI, or JSON from the file) to the key's type.
+// Returns { value } or { error }.
+function coerce(spec, raw) {
+  if (raw === null || raw === '') {
+    return { value: spec.type === 'urls' ? [] : null };
+  }
+
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      const value = Number(raw);
+      if (typeof raw === 'boolean' || !Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+        return { error: `must be ${spec.type === 'integer' ? 'an integer' : 'a number'}` };
+      }
+      if (spec.min !== undefined && (value < spec.min || (spec.exclusiveMin && value === spec.min))) {
+        return { error: `must be ${spec.exclusiveMin ? 'greater than' : 'at least'} ${spec.min}` };
+      }
+      if (spec.max !== undefined && (value > spec.max || (spec.exclusiveMax && value === spec.max))) {
+        return { error: `must be ${spec.exclusiveMax ? 'less than' : 'at most'} ${spec.max}` };
+      }
+      return { value };
+    }
+    case 'enum':
+      return spec.values.includes(raw) ? { value: raw } : { error: `must be one of ${spec.values.join(', ')}` };
+    case 'url':
+      return typeof raw === 'string' && checkUrl(raw, spec.protocols)
+        ? { value: raw }
+        : { error: `must be a ${formatProtocols(spec.protocols)} URL` };
+    case 'urls': {
+      const urls = Array.isArray(raw) ? raw : String(raw).split(',').map(url => url.trim()).filter(Boolean);
+      const invalid = urls.filter(url => typeof url !== 'string' || !checkUrl(url, spec.protocols));
+      return invalid.length === 0
+        ? { value: urls }
+        : { error: `must be ${formatProtocols(spec.protocols)} URLs (invalid: ${invalid.map(url => redactUrl(String(url))).join(', ')})` };
+    }
+    default:
+      if (typeof raw !== 'string' || (spec.pattern && !spec.pattern.test(raw))) {
+        return { error: `must be ${spec.format || 'a string'}` };
+      }
+      return { value: raw };
+  }
+}
+
+function readConfigFile(file, required) {
+  if (!fs.existsSync(file)) {
+    if (required) {
+      throw new ConfigError([`config file not found: ${file}`]);
+    }
+    return {};
+  }
+
+  let values;
+  try {
+    values = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new ConfigError([`${file}: ${error.message}`]);
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new ConfigError([`${file}: must contain a JSON object`]);
+  }
+  return values;
+}
+
+// Build the validated, frozen configuration. `defaults` lets an executor change a
+// default (e.g. the API executor's data source) without hiding it from the other layers.
+// Unknown CLI flags are ignored, so scripts can keep their own flags next to these.
+export function loadConfig({ argv = process.argv.slice(2), env = process.env, defaults = {} } = {}) {
+  dotenv.config();
+
+  const flags = parseArgs(argv);
+
+  const file = flags.config || env.CONFIG_FILE || DEFAULT_CONFIG_FILE;
+  const fileValues = readConfigFile(file, Boolean(flags.config || env.CONFIG_FILE));
+
+  const errors = Object.keys(fileValues)
+    .filter(key => !(key in SCHEMA))
+    .map(key => `${key} (${file}): unknown setting`);
+  const values = {};
+  const origins = {};
+
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    const flag = toFlag(key);
+    const envName = [].concat(spec.env).find(name => env[name] !== undefined && env[name] !== '');
+    let raw, origin;
+    if (flag in flags) {
+      [raw, origin] = [flags[flag], `--${flag}`];
+    } else if (envName) {
+      [raw, origin] = [env[envName], envName];
+    } else if (key in fileValues) {
+      [raw, origin] = [fileValues[key], file];
+    } else {
+      values[key] = key in defaults ? defaults[key] : spec.default;
+      origins[key] = 'default';
+      continue;
+    }
+
+    const { value, error } = coerce(spec, raw);
+    if (error) {
+      errors.push(`${key} (${origin}): ${error}`);
+    } else {
+      values[key] = value;
+      origins[key] = origin;
+    }
+  }
+
+  // A quorum larger than the endpoint list could never be reached
+  if (values.rpcUrls?.length > 0 && values.rpcQuorum > values.rpcUrls.length) {
+    errors.push(`rpcQuorum (${origins.rpcQuorum}): must be at most the number of rpcUrls (${values.rpcUrls.length})`);
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+
+  current = Object.freeze({ ...values, rpcUrls: Object.freeze(values.rpcUrls) });
+  currentOrigins = Object.freeze(origins);
+  return current;
+}
+
+// The loaded configuration; loads it with the plain defaults on first use
+export function getConfig() {
+  return current || loadConfig();
+}
+
+// Effective configuration for display (/api/config): secrets reduced to host only,
+// plus where each value came from
+export function describeConfig(config = getConfig()) {
+  const values = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    const value = config[key];
+    if (!spec.secret || value === null) {
+      values[key] = value;
+    } else {
+      values[key] = Array.isArray(value) ? value.map(redactUrl) : redactUrl(value);
+    }
+  }
+
+  return { values, origins: currentOrigins || {} };
+}
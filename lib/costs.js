@@ -0,0 +1,75 @@
+import { getAmount0Delta, getAmount1Delta, getNextSqrtPriceFromInput, priceToSqrtPriceX96 } from './uniswap-math.js';
+
+// Cost of one rebalance in quote token: the swap that re-ratios the position into
+// the new range (pool fee + price impact through the active liquidity) plus gas.
+// Gas is converted with nativePriceUsd, which assumes a USD-pegged quote token (USDC).
+export function createCostModel({
+  pool,
+  gasCostNative = 0.035, // S per rebalance (remove + collect + swap + mint)
+  nativePriceUsd = 0.5 // USD per S
+}) {
+  const feeRate = (pool.feeTier || 0) / 1e6;
+  const gasCost = gasCostNative * nativePriceUsd;
+
+  const baseToken = pool.baseIsToken0 ? pool.token0 : pool.token1;
+  const quoteToken = pool.baseIsToken0 ? pool.token1 : pool.token0;
+
+  // Swap amountIn (human units of base when sellBase, else quote) against the pool.
+  // Returns what comes out, in human units of the other token.
+  function simulateSwap(data, sellBase, amountIn) {
+    const liquidity = BigInt(data.liquidity || 0);
+    const tokenIn = sellBase ? baseToken : quoteToken;
+    const tokenOut = sellBase ? quoteToken : baseToken;
+
+    // Without liquidity data there is no impact to model, only the fee
+    if (liquidity === 0n) {
+      const amountAfterFee = amountIn * (1 - feeRate);
+      return sellBase ? amountAfterFee * data.price : amountAfterFee / data.price;
+    }
+
+    const sqrtPriceX96 = data.sqrtPriceX96 ? BigInt(data.sqrtPriceX96) : priceToSqrtPriceX96(data.price, pool);
+    const zeroForOne = tokenIn === pool.token0;
+    const amountInRaw = BigInt(Math.floor(amountIn * (1 - feeRate) * (10 ** tokenIn.decimals)));
+    const sqrtPriceNext = getNextSqrtPriceFromInput(sqrtPriceX96, liquidity, amountInRaw, zeroForOne);
+    const amountOutRaw = zeroForOne
+      ? getAmount1Delta(sqrtPriceNext, sqrtPriceX96, liquidity)
+      : getAmount0Delta(sqrtPriceX96, sqrtPriceNext, liquidity);
+
+    return Number(amountOutRaw) / (10 ** tokenOut.decimals);
+  }
+
+  // Cost of moving from the `held` base/quote amounts to the `target` amounts
+  function estimateRebalance(data, held, target) {
+    const baseDelta = target.base_amount - held.base_amount;
+    const sellBase = baseDelta < 0;
+    // Buying base costs the quote needed at the mid price
+    const amountIn = sellBase ? -baseDelta : baseDelta * data.price;
+
+    let swapNotional = 0;
+    let swapFee = 0;
+    let priceImpact = 0;
+
+    if (amountIn > 0) {
+      const amountOut = simulateSwap(data, sellBase, amountIn);
+      swapNotional = sellBase ? amountIn * data.price : amountIn;
+      swapFee = swapNotional * feeRate;
+      const outValue = sellBase ? amountOut : amountOut * data.price;
+      priceImpact = Math.max(0, swapNotional - swapFee - outValue);
+    }
+
+    return {
+      swap_side: amountIn > 0 ? (sellBase ? 'sell-base' : 'buy-base') : 'none',
+      swap_amount: amountIn,
+      swap_notional: swapNotional,
+      swap_fee: swapFee,
+      price_impact: priceImpact,
+      gas_cost: gasCost,
+      total: swapFee + priceImpact + gasCost
+    };
+  }
+
+  return {
+    gasCost,
+    estimateRebalance
+  };
+}
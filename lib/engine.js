@@ -0,0 +1,682 @@
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import { createStore, closeStorage } from './stores/index.js';
+import { isProductionSource } from './sources/index.js';
+import { getCandleStart, createCandle, updateCandleWithTick, fillMissingCandles } from './candles.js';
+import { getPercentageTickRange, getTickAtSqrtRatio, priceToTick, snapTickRange, tickToPrice } from './uniswap-math.js';
+import { createLpPosition } from './lp-position.js';
+import { createCostModel } from './costs.js';
+import { createStrategy } from './strategies/index.js';
+
+const MAX_FILLED_CANDLES = 360; // Longer outages within a run are logged as a gap, not filled
+
+// Candle + rebalance state machine shared by every executor, one instance per pool.
+// The data source only has to hand back normalized tick records (see sources/index.js).
+// The engine is an EventEmitter: 'tick', 'candle' (closed), 'position' (saved) and 'depth'.
+export function createEngine({
+  pool,
+  source,
+  store = createStore({ simulated: !isProductionSource(source.name) }),
+  fetchInterval = 3000,
+  ingestionMode = 'poll', // 'poll', or 'swap'/'block' for sources that push ticks
+  recordFile = null,
+  lpCapital = 10000, // Starting capital (quote token) of the virtual LP position
+  costs = {}, // Rebalance cost options, see costs.js
+  strategy = createStrategy(pool.strategy), // Rebalance decisions, see strategies/index.js
+  persistState = isProductionSource(source.name), // Checkpoint to the store and resume on start
+  depthInterval = 60000, // Liquidity depth snapshots, for sources that can read them (0 = off)
+  depthPercentage = 5, // Depth snapshots cover ±this % around the price
+  clock = 'local', // 'chain' buckets candles by block timestamp for sources that report one
+  logger = console
+}) {
+  const { candleInterval, rangePercentage } = pool;
+  // Asymmetric bands when the pool sets them, else ±rangePercentage
+  const upperPercentage = pool.rangeUpperPercentage ?? rangePercentage;
+  const lowerPercentage = pool.rangeLowerPercentage ?? rangePercentage;
+  const lp = createLpPosition({ pool, capital: lpCapital, costModel: createCostModel({ pool, ...costs }) });
+  const engine = new EventEmitter();
+  engine.setMaxListeners(0); // One set of listeners per connected dashboard
+
+  // State management
+  let currentCandle = null;
+  let candles = [];
+  let currentRanges = null; // Tracks current tick bounds and their upper/lower prices
+  let currentRange = null; // Stored Range record of currentRanges (see models/Range.js)
+  let lastPositionStatus = null; // Tracks last position status
+  let positionHistory = [];
+  let tickData = [];
+  let outOfRangeDetectedAt = null; // Timestamp when out of range was first detected
+  let outOfRangeCloses = 0; // Consecutive out-of-range closes
+  const stats = { closes: 0, inRangeCloses: 0, rebalances: 0 };
+  let lastTick = null;
+  let lastTickAt = null; // Local time lastTick arrived
+  let latestDepth = null; // Most recent liquidity depth snapshot
+  let depthTimer = null;
+  let resumedFrom = null; // Last tick time before a restart, compared with the first new tick
+  let restoredCandle = null; // Open candle from the checkpoint; the downtime after it is not filled
+  let timer = null;
+  let unsubscribe = null;
+
+  // +upper/-lower % around the open (the strategy's width, else the pool's),
+  // widened to tick bounds the pool can actually mint
+  function calculateRanges(openPrice) {
+    const range = strategy.getRange
+      ? strategy.getRange({ pool, price: openPrice, candles, defaultRange: { upperPercentage, lowerPercentage } })
+      : { upperPercentage, lowerPercentage };
+    const { tickLower, tickUpper } = getPercentageTickRange(openPrice, range.upperPercentage, range.lowerPercentage, pool);
+    const ranges = describeRange(tickLower, tickUpper);
+
+    return {
+      ...ranges,
+      upperPercentage: range.upperPercentage,
+      lowerPercentage: range.lowerPercentage,
+      widthPercentage: ((ranges.upper - ranges.lower) / openPrice) * 100 // Actual width after tick snapping
+    };
+  }
+
+  // Tick bounds with their upper/lower prices
+  function describeRange(tickLower, tickUpper) {
+    const prices = [tickToPrice(tickLower, pool), tickToPrice(tickUpper, pool)];
+    return { tickLower, tickUpper, upper: Math.max(...prices), lower: Math.min(...prices) };
+  }
+
+  // Band widths the current range was opened with, as stored on each Position
+  function rangeWidthFields() {
+    return {
+      range_upper_pct: currentRanges.upperPercentage,
+      range_lower_pct: currentRanges.lowerPercentage,
+      range_width_pct: currentRanges.widthPercentage
+    };
+  }
+
+  // Start the Range record of currentRanges, centered on `openPrice`; `openedBy` is what
+  // opened it (see models/Range.js)
+  async function openRange(timestamp, openPrice, openedBy, cost = null) {
+    currentRange = {
+      pool: pool.address,
+      source: source.name,
+      timestamp: new Date(timestamp),
+      end: null,
+      tick_lower: currentRanges.tickLower,
+      tick_upper: currentRanges.tickUpper,
+      lower_range: currentRanges.lower,
+      upper_range: currentRanges.upper,
+      ...rangeWidthFields(),
+      open_price: openPrice,
+      opened_by: openedBy,
+      open_cost: cost,
+      exit: null,
+      close_price: null,
+      duration: null,
+      flags: 0,
+      false_alarms: 0
+    };
+    await store.saveRange(currentRange);
+  }
+
+  // End the current Range at this tick; `exit` is the side the price left through
+  async function closeRange(data, exit) {
+    if (!currentRange) return;
+
+    const end = new Date(data.timestamp);
+    Object.assign(currentRange, {
+      end,
+      exit,
+      close_price: data.price,
+      duration: (end.getTime() - currentRange.timestamp.getTime()) / 1000
+    });
+    await store.saveRange(currentRange);
+  }
+
+  // Count a Price-UP/DOWN flag, or a flag the price came back in range from
+  async function countRangeFlag(field) {
+    if (!currentRange) return;
+
+    currentRange[field]++;
+    await store.saveRange(currentRange);
+  }
+
+  // Current pool tick, derived from the price for sources that do not report one
+  function getTick(data) {
+    if (Number.isInteger(data.tick)) {
+      return data.tick;
+    }
+    return data.sqrtPriceX96 ? getTickAtSqrtRatio(data.sqrtPriceX96) : priceToTick(data.price, pool);
+  }
+
+  // 'in' while tickLower <= tick < tickUpper (as on chain), else the side the base price left through
+  function getRangeSide(tick) {
+    if (tick >= currentRanges.tickLower && tick < currentRanges.tickUpper) {
+      return 'in';
+    }
+    // Ticks track token1 per token0, so they move against the price when the base is token1
+    const aboveTicks = tick >= currentRanges.tickUpper;
+    return aboveTicks === pool.baseIsToken0 ? 'up' : 'down';
+  }
+
+  async function savePositionData(positionData) {
+    positionData.pool = pool.address;
+    positionData.source = source.name;
+    positionHistory.push(positionData);
+    if (positionHistory.length > 360) {
+      positionHistory.shift();
+    }
+    await store.savePosition(positionData);
+    engine.emit('position', positionData);
+  }
+
+  // Re-center the range on the current price and save the Open-UP/DOWN record
+  async function rebalance(data, side) {
+    const isUpRebalance = side === 'up';
+
+    // Update ranges based on new price
+    await closeRange(data, side);
+    currentRanges = calculateRanges(data.price);
+    const cost = lp.rebalance(data, currentRanges);
+    stats.rebalances++;
+    await openRange(data.timestamp, data.price, isUpRebalance ? 'Open-UP' : 'Open-DOWN', cost);
+
+    const status = isUpRebalance ? 'Open-UP' : 'Open-DOWN';
+    const rebalanceType = isUpRebalance ? 'Rebalance UP' : 'Rebalance DOWN';
+
+    logger.log(`\n🔄 REBALANCE: ${status}`);
+    logger.log(`  New Ranges: Upper=$${currentRanges.upper.toFixed(2)}, Lower=$${currentRanges.lower.toFixed(2)} (ticks ${currentRanges.tickLower} → ${currentRanges.tickUpper}, width ${currentRanges.widthPercentage.toFixed(3)}%)`);
+    logger.log(`  Cost: $${cost.total.toFixed(4)} (swap fee $${cost.swap_fee.toFixed(4)}, impact $${cost.price_impact.toFixed(4)}, gas $${cost.gas_cost.toFixed(4)})`);
+
+    // Save rebalance position
+    await savePositionData({
+      timestamp: data.timestamp,
+      status: status,
+      upper_range: currentRanges.upper,
+      lower_range: currentRanges.lower,
+      tick_lower: currentRanges.tickLower,
+      tick_upper: currentRanges.tickUpper,
+      ...rangeWidthFields(),
+      open: data.price,
+      high: data.price,
+      low: data.price,
+      close: data.price,
+      weth_pct: data.weth_pct,
+      usdc_pct: data.usdc_pct,
+      rebalance_type: rebalanceType,
+      lp: lp.snapshot(data),
+      cost
+    });
+
+    // After rebalance, go back to Monitoring with new ranges
+    lastPositionStatus = 'Monitoring';
+    outOfRangeDetectedAt = null;
+    outOfRangeCloses = 0;
+  }
+
+  function bufferCandle(candle) {
+    candles.push(candle);
+    if (candles.length > 360) {
+      candles.shift();
+    }
+  }
+
+  // Carry the closed candle forward through intervals nothing was fetched in. Filled
+  // candles are stored and buffered but carry no new price, so they are not run through the strategy.
+  // Only gaps within one run are filled: downtime across a restart is logged by logGap.
+  async function fillGap(closed, candleStart) {
+    const missed = Math.round((candleStart - closed.timestamp) / candleInterval) - 1;
+    if (missed <= 0 || closed === restoredCandle) return;
+    if (missed > MAX_FILLED_CANDLES) {
+      logGap(closed.timestamp + candleInterval, candleStart);
+      return;
+    }
+
+    const filled = fillMissingCandles(closed, candleStart, candleInterval);
+
+    filled.forEach(bufferCandle);
+    await store.upsertCandles(filled);
+    await store.rebuildRollups(pool.address, candleInterval, filled[0].timestamp, filled[filled.length - 1].timestamp);
+    logger.log(`\n🩹 [${pool.name}] Filled ${filled.length} missing candle(s) from ${new Date(filled[0].timestamp).toISOString()} at $${closed.close.toFixed(2)}`);
+  }
+
+  // Position record (Monitoring, Price-UP/DOWN) of a candle close within the current range
+  async function saveStatusRecord(status, data, candle) {
+    await savePositionData({
+      timestamp: data.timestamp,
+      status,
+      upper_range: currentRanges.upper,
+      lower_range: currentRanges.lower,
+      tick_lower: currentRanges.tickLower,
+      tick_upper: currentRanges.tickUpper,
+      ...rangeWidthFields(),
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      weth_pct: data.weth_pct,
+      usdc_pct: data.usdc_pct,
+      rebalance_type: 'N/A',
+      lp: lp.snapshot(data)
+    });
+  }
+
+  // Run the rebalance state machine when a candle closes
+  async function closeCandle(candle, data) {
+    bufferCandle(candle);
+    if (await store.saveCandle(candle)) {
+      await store.rollupCandle(candle, candleInterval);
+    }
+    engine.emit('candle', candle);
+
+    // Check status on every candle close, by tick like the pool itself
+    const currentPrice = data.price;
+    const currentTick = getTick(data);
+    const side = getRangeSide(currentTick);
+    const isInRange = side === 'in';
+    lp.accrueFees(candle, data, isInRange);
+    stats.closes++;
+    if (isInRange) {
+      stats.inRangeCloses++;
+    }
+
+    outOfRangeCloses = isInRange ? 0 : outOfRangeCloses + 1;
+
+    // The strategy decides what this close means
+    const action = strategy.onCandleClose({
+      pool,
+      status: lastPositionStatus,
+      side,
+      price: currentPrice,
+      tick: currentTick,
+      ranges: currentRanges,
+      outOfRangeCloses,
+      candles,
+      defaultRange: { upperPercentage, lowerPercentage }
+    }, candle);
+
+    if (action.type === 'rebalance') {
+      await rebalance(data, action.side || side);
+    } else if (action.type === 'clear') {
+      // Price came back in range - no rebalance needed
+      logger.log(`\n✅ PRICE BACK IN RANGE - No rebalance needed`);
+      // Recorded, so the alert counts as a false alarm even when the next close flags again
+      await saveStatusRecord('Monitoring', data, candle);
+      lastPositionStatus = 'Monitoring';
+      outOfRangeDetectedAt = null;
+      await countRangeFlag('false_alarms');
+    } else if (action.type === 'flag') {
+      // Price just went out of range - save Price-UP/DOWN
+      const isAbove = action.side === 'up';
+      const status = isAbove ? 'Price-UP' : 'Price-DOWN';
+
+      logger.log(`\n⚠️  ${status}: $${currentPrice.toFixed(2)} ${isAbove ? '>' : '<'} ${isAbove ? currentRanges.upper.toFixed(2) : currentRanges.lower.toFixed(2)} (tick ${currentTick})`);
+
+      await saveStatusRecord(status, data, candle);
+
+      lastPositionStatus = status;
+      outOfRangeDetectedAt = Date.now();
+      await countRangeFlag('flags');
+    } else if (action.type === 'hold' && lastPositionStatus === 'Monitoring') {
+      // Normal Monitoring - save position for chart continuity
+      await saveStatusRecord('Monitoring', data, candle);
+    }
+    // 'wait': still out of range, waiting for confirmation
+  }
+
+  // Update the candle for the interval this tick falls into
+  async function updateCandle(data) {
+    const candleStart = getCandleStart(data.timestamp, candleInterval);
+
+    if (currentCandle && candleStart < currentCandle.timestamp) {
+      // Late tick (chain time trailing the heartbeat's estimate): fold it into the open candle
+      updateCandleWithTick(currentCandle, data);
+    } else if (!currentCandle || currentCandle.timestamp !== candleStart) {
+      // Close previous candle
+      const closed = currentCandle;
+      if (closed) {
+        await closeCandle(closed, data);
+        await fillGap(closed, candleStart);
+      }
+
+      // Start new candle
+      currentCandle = createCandle(pool.address, candleStart, data);
+      currentCandle.source = source.name;
+
+      if (closed) {
+        await checkpoint(data);
+      }
+
+      logger.log(`\n=== [${pool.name}] New ${candleInterval / 1000}s Candle Started at ${new Date(candleStart).toISOString()} ===`);
+    } else {
+      // Update current candle
+      updateCandleWithTick(currentCandle, data);
+    }
+
+    // Store tick data for frontend
+    tickData.push({
+      timestamp: data.timestamp,
+      price: data.price,
+      weth_pct: data.weth_pct,
+      usdc_pct: data.usdc_pct,
+      block_number: data.block_number ?? null
+    });
+
+    // Keep only last hour of tick data (360 ticks for 10s intervals)
+    if (tickData.length > 360) {
+      tickData.shift();
+    }
+  }
+
+  // Initialize ranges on first run and log the current status
+  async function streamPositionData(data) {
+    if (!currentCandle) return;
+
+    // Initialize ranges on first run
+    if (!currentRanges) {
+      currentRanges = calculateRanges(currentCandle.open);
+      lastPositionStatus = 'Monitoring';
+      await openRange(data.timestamp, currentCandle.open, 'Initial');
+      logger.log(`\n🎯 Initial Ranges Set: Upper=$${currentRanges.upper.toFixed(2)}, Lower=$${currentRanges.lower.toFixed(2)} (ticks ${currentRanges.tickLower} → ${currentRanges.tickUpper})`);
+    }
+    // A range resumed without its LP state is minted at the current price
+    if (!lp.isMinted()) {
+      lp.mint(data, currentRanges);
+    }
+
+    // Just log current status, don't save (saving happens on candle close only)
+    const currentPrice = data.price;
+
+    if (getRangeSide(getTick(data)) === 'in') {
+      logger.log(`📊 Monitoring: $${currentPrice.toFixed(2)} (Range: ${currentRanges.lower.toFixed(2)} - ${currentRanges.upper.toFixed(2)})`);
+    }
+  }
+
+  // Save everything a restart needs to carry on with the same range
+  async function checkpoint(data) {
+    if (!persistState || !currentRanges) return;
+
+    await store.saveEngineState({
+      pool: pool.address,
+      source: source.name,
+      status: lastPositionStatus,
+      ranges: currentRanges,
+      out_of_range_closes: outOfRangeCloses,
+      out_of_range_detected_at: outOfRangeDetectedAt ? new Date(outOfRangeDetectedAt) : null,
+      current_candle: currentCandle,
+      candles,
+      tick_data: tickData,
+      stats,
+      lp: lp.getState(),
+      last_tick: data,
+      last_tick_at: new Date(data.timestamp)
+    });
+  }
+
+  // Range of a stored Position; older records only have prices, which are snapped to ticks here
+  function rangesFromPosition(position) {
+    let { tick_lower: tickLower, tick_upper: tickUpper } = position;
+    if (!Number.isInteger(tickLower) || !Number.isInteger(tickUpper)) {
+      ({ tickLower, tickUpper } = snapTickRange(
+        priceToTick(position.upper_range, pool),
+        priceToTick(position.lower_range, pool),
+        pool.tickSpacing
+      ));
+    }
+
+    return {
+      ...describeRange(tickLower, tickUpper),
+      upperPercentage: position.range_upper_pct ?? null,
+      lowerPercentage: position.range_lower_pct ?? null,
+      widthPercentage: position.range_width_pct ?? null
+    };
+  }
+
+  // A flagged exit is still waiting for confirmation; after anything else the range is monitored
+  function resumeStatus(status) {
+    return status === 'Price-UP' || status === 'Price-DOWN' ? status : 'Monitoring';
+  }
+
+  // Resume the range and status of the latest Position. The checkpoint supplies the rest
+  // (candle buffers, counters, LP state) when it was taken on that range after that Position.
+  async function restore() {
+    const [latest, saved] = await Promise.all([
+      store.loadLatestPosition(pool.address),
+      store.loadEngineState(pool.address)
+    ]);
+    if (!latest) {
+      logger.log(`ℹ️  [${pool.name}] No stored position, a new range opens on the first tick`);
+      return;
+    }
+
+    const latestAt = new Date(latest.timestamp).getTime();
+    currentRanges = rangesFromPosition(latest);
+    lastPositionStatus = resumeStatus(latest.status);
+    // A flagged exit has already seen its first out-of-range close
+    outOfRangeCloses = lastPositionStatus === 'Monitoring' ? 0 : 1;
+    resumedFrom = latestAt;
+
+    const checkpointed = saved && saved.ranges && saved.last_tick_at
+      && saved.ranges.tickLower === currentRanges.tickLower
+      && saved.ranges.tickUpper === currentRanges.tickUpper
+      && new Date(saved.last_tick_at).getTime() >= latestAt;
+    if (checkpointed) {
+      currentRanges = { ...currentRanges, ...saved.ranges };
+      lastPositionStatus = saved.status || lastPositionStatus;
+      outOfRangeCloses = saved.out_of_range_closes || 0;
+      outOfRangeDetectedAt = saved.out_of_range_detected_at ? new Date(saved.out_of_range_detected_at).getTime() : null;
+      currentCandle = saved.current_candle || null;
+      restoredCandle = currentCandle;
+      candles = saved.candles || [];
+      tickData = saved.tick_data || [];
+      Object.assign(stats, saved.stats);
+      if (saved.lp) {
+        lp.restore(saved.lp);
+      }
+      lastTick = saved.last_tick || null;
+      resumedFrom = new Date(saved.last_tick_at).getTime();
+    }
+
+    // Carry on with the stored Range of these bounds. Without one (history from before ranges
+    // were recorded) it is recorded from the latest position, and an open Range of other
+    // bounds is closed there without an exit.
+    const [range] = await store.findRanges({ pool: pool.address, sort: -1, limit: 1 });
+    const openRecord = range && !range.end ? range : null;
+    if (openRecord && openRecord.tick_lower === currentRanges.tickLower && openRecord.tick_upper === currentRanges.tickUpper) {
+      currentRange = { ...openRecord, timestamp: new Date(openRecord.timestamp) };
+    } else {
+      currentRange = openRecord && { ...openRecord, timestamp: new Date(openRecord.timestamp) };
+      await closeRange({ timestamp: latestAt, price: latest.close }, null);
+      await openRange(latestAt, latest.close, 'Resumed');
+    }
+
+    logger.log(`\n♻️  [${pool.name}] Resumed ${lastPositionStatus}: Upper=$${currentRanges.upper.toFixed(2)}, Lower=$${currentRanges.lower.toFixed(2)} (ticks ${currentRanges.tickLower} → ${currentRanges.tickUpper}) from the ${latest.status} position at ${new Date(latestAt).toISOString()}${checkpointed ? ' with checkpointed state' : ''}`);
+  }
+
+  // Gap marker when the engine saw no ticks for longer than one candle
+  function logGap(from, to) {
+    const downtime = to - from;
+    if (downtime <= candleInterval) return;
+
+    const missed = Math.floor(downtime / candleInterval);
+    logger.log(`\n⏸️  [${pool.name}] GAP: no data from ${new Date(from).toISOString()} to ${new Date(to).toISOString()} (${(downtime / 1000).toFixed(0)}s, ${missed} candle(s) missed)`);
+  }
+
+  // Feed one normalized tick through the candle and position pipeline
+  async function ingest(data) {
+    if (clock === 'chain' && data.block_timestamp != null) {
+      data = { ...data, timestamp: data.block_timestamp };
+    }
+
+    // A lagging endpoint can answer with older state than a tick already accepted
+    const lastBlock = lastTick?.block_number ?? null;
+    if (data.block_number != null && lastBlock !== null && data.block_number < lastBlock) {
+      logger.log(`\n⏪ [${pool.name}] Dropped tick from block ${data.block_number}, behind block ${lastBlock}`);
+      return;
+    }
+
+    logger.log(`\n📊 [${pool.name}] Price: $${data.price.toFixed(2)} | ${pool.baseSymbol}: ${data.weth_pct.toFixed(2)}% | ${pool.quoteSymbol}: ${data.usdc_pct.toFixed(2)}%`);
+
+    if (recordFile) {
+      fs.appendFileSync(recordFile, JSON.stringify({ ...data, pool: pool.address }) + '\n');
+    }
+
+    if (resumedFrom !== null) {
+      logGap(resumedFrom, data.timestamp);
+      resumedFrom = null;
+    }
+
+    lastTick = data;
+    lastTickAt = Date.now();
+    await updateCandle(data);
+    await streamPositionData(data);
+    engine.emit('tick', {
+      timestamp: data.timestamp,
+      price: data.price,
+      weth_pct: data.weth_pct,
+      usdc_pct: data.usdc_pct,
+      block_number: data.block_number ?? null,
+      candle: currentCandle
+    });
+  }
+
+  // Event-driven modes only see ticks when something happens, so a quiet
+  // candle is closed on a timer by carrying the last tick forward
+  async function heartbeat() {
+    if (!currentCandle || !lastTick) return;
+
+    // On the chain clock, estimate chain time from the last block's timestamp
+    const now = clock === 'chain' ? lastTick.timestamp + (Date.now() - lastTickAt) : Date.now();
+    if (getCandleStart(now, candleInterval) !== currentCandle.timestamp) {
+      await updateCandle({ ...lastTick, timestamp: now, swap: null, carried: true });
+      await streamPositionData(lastTick);
+    }
+  }
+
+  // Read and store the liquidity distribution around the current tick
+  async function snapshotDepth() {
+    const snapshot = await source.fetchDepth({ rangePercentage: depthPercentage });
+    if (snapshot) {
+      latestDepth = snapshot;
+      await store.saveLiquiditySnapshot(snapshot);
+      engine.emit('depth', snapshot);
+    }
+  }
+
+  // Main loop
+  async function mainLoop() {
+    const data = await source.fetch();
+
+    if (data) {
+      await ingest(data);
+    }
+  }
+
+  // Timer callbacks have nobody to await them: log a failed run and carry on with the next
+  function runLogged(task, label) {
+    return () => task().catch(error => console.error(`❌ [${pool.name}] Error in ${label}:`, error.message));
+  }
+
+  async function start() {
+    if (persistState) {
+      await restore();
+    }
+
+    if (source.fetchDepth && depthInterval > 0) {
+      const depthSnapshot = runLogged(snapshotDepth, 'depth snapshot');
+      depthSnapshot();
+      depthTimer = setInterval(depthSnapshot, depthInterval);
+    }
+
+    if (ingestionMode === 'poll') {
+      // Initial fetch
+      const poll = runLogged(mainLoop, 'main loop');
+      poll();
+
+      // Set interval for subsequent fetches
+      timer = setInterval(poll, fetchInterval);
+      return;
+    }
+
+    if (!source.subscribe) {
+      throw new Error(`Data source "${source.name}" does not support ${ingestionMode} ingestion`);
+    }
+
+    // Seed the first candle with the current state, then follow the chain
+    await mainLoop();
+    unsubscribe = await source.subscribe(ingestionMode, ingest);
+    timer = setInterval(runLogged(heartbeat, 'heartbeat'), candleInterval);
+  }
+
+  async function stop() {
+    clearInterval(timer);
+    timer = null;
+    clearInterval(depthTimer);
+    depthTimer = null;
+    if (unsubscribe) {
+      await unsubscribe();
+      unsubscribe = null;
+    }
+    if (lastTick) {
+      await checkpoint(lastTick);
+    }
+  }
+
+  // Build position object from current state
+  function getPosition() {
+    return currentRanges ? {
+      status: lastPositionStatus || 'No Position',
+      upper_range: currentRanges.upper,
+      lower_range: currentRanges.lower,
+      tick_lower: currentRanges.tickLower,
+      tick_upper: currentRanges.tickUpper,
+      ...rangeWidthFields(),
+      rebalance_type: 'N/A'
+    } : null;
+  }
+
+  return Object.assign(engine, {
+    pool,
+    source,
+    strategy,
+    fetchInterval,
+    ingestionMode,
+    store,
+    ingest,
+    start,
+    stop,
+    getPosition,
+    getCurrentCandle: () => currentCandle,
+    getCandles: () => candles,
+    getTickData: () => tickData,
+    getPositionHistory: () => positionHistory,
+    getDepth: () => latestDepth,
+    getLpPosition: () => (lastTick ? lp.snapshot(lastTick) : null),
+    getStats: () => ({
+      ...stats,
+      timeInRangePct: stats.closes > 0 ? (stats.inRangeCloses / stats.closes) * 100 : null
+    })
+  });
+}
+
+// For the executors: on SIGINT (pm2 stop/restart) or SIGTERM, stop every engine so each writes
+// its final checkpoint, then flush and close the storage and exit
+export function stopEnginesOnSignals(engines, server = null) {
+  let stopping = false;
+
+  async function shutdown(signal) {
+    if (stopping) return;
+    stopping = true;
+    console.log(`\n🛑 ${signal} received, stopping ${engines.length} engine(s)...`);
+
+    try {
+      server?.close(); // Stop accepting requests; open SSE streams end with the process
+      await Promise.all(engines.map(engine => engine.stop()));
+      await closeStorage();
+      console.log('✅ Final checkpoints written, storage closed');
+      process.exit(0);
+    } catch (error) {
+      console.error('❌ Error during shutdown:', error.message);
+      process.exit(1);
+    }
+  }
+
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => shutdown(signal));
+  }
+}
@@ -0,0 +1,78 @@
+import { toBaseQuoteAmounts } from './pool-math.js';
+import { getAmountsForLiquidity, getPercentageTickRange, getSqrtRatioAtTick, tickToPrice } from './uniswap-math.js';
+
+// Liquidity depth around the current tick, built from the pool's tickBitmap/ticks views.
+// The chain reads live in the onchain source (fetchDepth); everything here is pure math.
+
+// Tick bounds covering ±percentage around the price, aligned to the tick spacing
+export function getDepthTickRange(price, percentage, pool) {
+  return getPercentageTickRange(price, percentage, percentage, pool);
+}
+
+// tickBitmap word positions holding the ticks between tickLower and tickUpper
+// (each word covers 256 compressed ticks)
+export function getBitmapWords(tickLower, tickUpper, tickSpacing) {
+  const first = Math.floor(tickLower / tickSpacing) >> 8;
+  const last = Math.floor(tickUpper / tickSpacing) >> 8;
+  return Array.from({ length: last - first + 1 }, (_, i) => first + i);
+}
+
+// Initialized ticks flagged in one tickBitmap word
+export function getInitializedTicks(word, bitmap, tickSpacing) {
+  const ticks = [];
+  const bits = BigInt(bitmap);
+  for (let bit = 0; bit < 256; bit++) {
+    if ((bits >> BigInt(bit)) & 1n) {
+      ticks.push((word * 256 + bit) * tickSpacing);
+    }
+  }
+  return ticks;
+}
+
+// Active liquidity between consecutive initialized ticks of [tickLower, tickUpper], walked
+// out from the current tick with each tick's liquidityNet, and what each segment holds at
+// the current price. `ticks` is [{ tick, liquidityNet }].
+export function buildDepthDistribution({ pool, tick, sqrtPriceX96, liquidity, price, tickLower, tickUpper, ticks }) {
+  const netByTick = new Map(ticks.map(t => [t.tick, BigInt(t.liquidityNet)]));
+  const bounds = [...new Set([tickLower, tickUpper, ...ticks.map(t => t.tick)])]
+    .filter(t => t >= tickLower && t <= tickUpper)
+    .sort((a, b) => a - b);
+
+  // Segment i spans bounds[i] → bounds[i + 1]; find the one holding the current tick
+  const segmentCount = bounds.length - 1;
+  const current = Math.max(0, Math.min(segmentCount - 1, bounds.findIndex((b, i) => i < segmentCount && tick >= b && tick < bounds[i + 1])));
+  const liquidities = new Array(segmentCount);
+  liquidities[current] = BigInt(liquidity);
+  for (let i = current + 1; i < segmentCount; i++) {
+    // Crossing bounds[i] upward adds its net liquidity
+    liquidities[i] = liquidities[i - 1] + (netByTick.get(bounds[i]) || 0n);
+  }
+  for (let i = current - 1; i >= 0; i--) {
+    // Crossing bounds[i + 1] downward removes it
+    liquidities[i] = liquidities[i + 1] - (netByTick.get(bounds[i + 1]) || 0n);
+  }
+
+  return liquidities.map((segmentLiquidity, i) => {
+    const active = segmentLiquidity > 0n ? segmentLiquidity : 0n;
+    const { amount0, amount1 } = getAmountsForLiquidity(
+      BigInt(sqrtPriceX96),
+      getSqrtRatioAtTick(bounds[i]),
+      getSqrtRatioAtTick(bounds[i + 1]),
+      active
+    );
+    const { base_amount, quote_amount } = toBaseQuoteAmounts(amount0, amount1, pool);
+    const prices = [tickToPrice(bounds[i], pool), tickToPrice(bounds[i + 1], pool)];
+
+    return {
+      tick_lower: bounds[i],
+      tick_upper: bounds[i + 1],
+      price_lower: Math.min(...prices),
+      price_upper: Math.max(...prices),
+      liquidity: active.toString(),
+      base_amount,
+      quote_amount,
+      value_usd: quote_amount + base_amount * price,
+      active: i === current
+    };
+  });
+}
@@ -0,0 +1,171 @@
+import { toBaseQuoteAmounts } from './pool-math.js';
+import { getAmountsForLiquidity, getSqrtRatioAtTick, priceToSqrtPriceX96 } from './uniswap-math.js';
+
+const UNIT_LIQUIDITY = 1e18; // Reference liquidity used to size a position from its value
+
+// Virtual LP position following the engine's ranges. It is minted with `capital`
+// (in quote token) on the first range and re-minted with its whole value on every
+// rebalance, so the strategy can be judged on what it would actually have earned.
+// With a costModel (see costs.js) every rebalance pays for its swap and gas.
+export function createLpPosition({ pool, capital = 10000, costModel = null }) {
+  const feeRate = (pool.feeTier || 0) / 1e6; // feeTier is in pips (hundredths of a bip)
+
+  let position = null; // Currently minted range, liquidity and its value at mint
+  let hodl = null; // Token amounts of the first mint, held untouched as the benchmark
+  let realizedPnl = 0;
+  let totalFees = 0;
+  let totalCosts = 0;
+  let rebalances = 0;
+
+  function getSqrtPrice(data) {
+    return data.sqrtPriceX96 ? BigInt(data.sqrtPriceX96) : priceToSqrtPriceX96(data.price, pool);
+  }
+
+  // Human base/quote amounts held by `liquidity` between two ticks at the current price
+  function getAmounts(sqrtPriceX96, tickLower, tickUpper, liquidity) {
+    const { amount0, amount1 } = getAmountsForLiquidity(
+      sqrtPriceX96,
+      getSqrtRatioAtTick(tickLower),
+      getSqrtRatioAtTick(tickUpper),
+      liquidity
+    );
+    return toBaseQuoteAmounts(amount0, amount1, pool);
+  }
+
+  // Value (in quote) of the liquidity itself, without fees
+  function getLiquidityValue(data) {
+    const { base_amount, quote_amount } = getAmounts(getSqrtPrice(data), position.tickLower, position.tickUpper, position.liquidity);
+    return { base_amount, quote_amount, value: quote_amount + base_amount * data.price };
+  }
+
+  // Liquidity and token amounts for `value` (quote) in a range, split the way the range needs
+  function size(data, { tickLower, tickUpper }, value) {
+    const sqrtPriceX96 = getSqrtPrice(data);
+    const unit = getAmounts(sqrtPriceX96, tickLower, tickUpper, BigInt(UNIT_LIQUIDITY));
+    const unitValue = unit.quote_amount + unit.base_amount * data.price;
+    const liquidity = BigInt(Math.floor((value / unitValue) * UNIT_LIQUIDITY));
+    return { liquidity, ...getAmounts(sqrtPriceX96, tickLower, tickUpper, liquidity) };
+  }
+
+  // Put `value` (quote) into the range at the current price
+  function mint(data, { tickLower, tickUpper }, value = capital) {
+    const { liquidity, base_amount, quote_amount } = size(data, { tickLower, tickUpper }, value);
+
+    position = {
+      tickLower,
+      tickUpper,
+      liquidity,
+      mintedAt: data.timestamp,
+      base_amount,
+      quote_amount,
+      value: quote_amount + base_amount * data.price,
+      fees: 0
+    };
+    if (!hodl) {
+      hodl = { base_amount, quote_amount };
+    }
+  }
+
+  // Our share of the candle's swap fees, if the range was active when it closed.
+  // Approximation: fees are charged on the quote side of the volume, pro rata to liquidity.
+  function accrueFees(candle, data, inRange) {
+    if (!position || !inRange) return 0;
+
+    const quoteVolume = pool.baseIsToken0 ? candle.volume_token1 : candle.volume_token0;
+    const ourLiquidity = Number(position.liquidity);
+    const share = ourLiquidity / (Number(data.liquidity || 0) + ourLiquidity);
+    const fees = (quoteVolume || 0) * feeRate * share;
+
+    position.fees += fees;
+    totalFees += fees;
+    return fees;
+  }
+
+  // Close the current range (collecting fees), swap to the new range's ratio and re-mint.
+  // Returns the rebalance cost breakdown, or null without a cost model.
+  function rebalance(data, ranges) {
+    const held = getLiquidityValue(data);
+    const closeValue = held.value + position.fees;
+
+    let cost = null;
+    if (costModel) {
+      // Collected fees are counted on the quote side
+      cost = costModel.estimateRebalance(
+        data,
+        { base_amount: held.base_amount, quote_amount: held.quote_amount + position.fees },
+        size(data, ranges, closeValue)
+      );
+      totalCosts += cost.total;
+    }
+
+    const reinvested = closeValue - (cost ? cost.total : 0);
+    realizedPnl += reinvested - position.value;
+    rebalances++;
+    mint(data, ranges, reinvested);
+    return cost;
+  }
+
+  // Mark-to-market state, persisted on each Position as `lp`
+  function snapshot(data) {
+    if (!position) return null;
+
+    const { base_amount, quote_amount, value: liquidityValue } = getLiquidityValue(data);
+    const value = liquidityValue + position.fees;
+    const hodlValue = hodl.quote_amount + hodl.base_amount * data.price;
+    // What the amounts minted into this range would be worth if simply held
+    const mintHoldValue = position.quote_amount + position.base_amount * data.price;
+
+    return {
+      capital,
+      tick_lower: position.tickLower,
+      tick_upper: position.tickUpper,
+      liquidity: position.liquidity.toString(),
+      minted_at: new Date(position.mintedAt),
+      base_amount,
+      quote_amount,
+      value,
+      fees_earned: position.fees,
+      total_fees: totalFees,
+      total_costs: totalCosts,
+      impermanent_loss: liquidityValue - mintHoldValue,
+      realized_pnl: realizedPnl,
+      unrealized_pnl: value - position.value,
+      total_pnl: value - capital,
+      hodl_value: hodlValue,
+      pnl_vs_hodl: value - hodlValue,
+      rebalances
+    };
+  }
+
+  // Internal state for the engine checkpoint (liquidity as a string so it can be stored)
+  function getState() {
+    return {
+      position: position && { ...position, liquidity: position.liquidity.toString() },
+      hodl,
+      realizedPnl,
+      totalFees,
+      totalCosts,
+      rebalances
+    };
+  }
+
+  function restore(state) {
+    position = state.position && { ...state.position, liquidity: BigInt(state.position.liquidity) };
+    hodl = state.hodl;
+    realizedPnl = state.realizedPnl;
+    totalFees = state.totalFees;
+    totalCosts = state.totalCosts;
+    rebalances = state.rebalances;
+  }
+
+  return {
+    capital,
+    isMinted: () => position !== null,
+    mint,
+    accrueFees,
+    rebalance,
+    snapshot,
+    getState,
+    restore
+  };
+}
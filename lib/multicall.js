@@ -0,0 +1,43 @@
+import { ethers } from 'ethers';
+
+// Multicall3 is deployed at the same address on Sonic and most EVM chains
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function getBlockNumber() view returns (uint256 blockNumber)',
+  'function getCurrentBlockTimestamp() view returns (uint256 timestamp)'
+];
+
+// Batches contract reads into one aggregate3 eth_call, so every result is read at the same block
+export function createMulticall(provider, address = MULTICALL3_ADDRESS) {
+  const multicall = new ethers.Contract(address, MULTICALL3_ABI, provider);
+
+  // calls: [{ contract, method, args }]; resolves to each call's decoded result.
+  // Any failing call fails the whole batch.
+  async function aggregate(calls, blockTag = 'latest') {
+    const results = await multicall.aggregate3.staticCall(
+      calls.map(({ contract, method, args = [] }) => ({
+        target: contract.target,
+        allowFailure: false,
+        callData: contract.interface.encodeFunctionData(method, args)
+      })),
+      { blockTag }
+    );
+
+    return results.map(({ returnData }, i) => calls[i].contract.interface.decodeFunctionResult(calls[i].method, returnData));
+  }
+
+  // aggregate() plus the number and timestamp (ms) of the block it was answered at
+  async function aggregateAtBlock(calls, blockTag = 'latest') {
+    const [[blockNumber], [blockTimestamp], ...results] = await aggregate([
+      { contract: multicall, method: 'getBlockNumber' },
+      { contract: multicall, method: 'getCurrentBlockTimestamp' },
+      ...calls
+    ], blockTag);
+
+    return { blockNumber: Number(blockNumber), blockTimestamp: Number(blockTimestamp) * 1000, results };
+  }
+
+  return { address, aggregate, aggregateAtBlock };
+}
@@ -0,0 +1,11 @@
+import { parentPort, workerData } from 'worker_threads';
+import { runBacktest } from './backtest.js';
+
+// Worker thread for optimizer.js: backtests its share of the configurations and
+// posts each result (without the position timeline) as soon as it is done
+const { pool, ticks, configs, lpCapital } = workerData;
+
+for (const config of configs) {
+  const { config: fullConfig, summary } = await runBacktest({ pool, ticks, lpCapital, ...config });
+  parentPort.postMessage({ config: fullConfig, summary });
+}
@@ -0,0 +1,103 @@
+import os from 'os';
+import { Worker } from 'worker_threads';
+
+const WORKER_FILE = new URL('./optimize-worker.js', import.meta.url);
+
+// Every combination of the parameter lists
+export function buildGrid({ upper, lower, intervals, confirms }) {
+  const configs = [];
+  for (const rangeUpperPercentage of upper) {
+    for (const rangeLowerPercentage of lower) {
+      for (const candleInterval of intervals) {
+        for (const confirmCandles of confirms) {
+          configs.push({ rangeUpperPercentage, rangeLowerPercentage, candleInterval, confirmCandles });
+        }
+      }
+    }
+  }
+  return configs;
+}
+
+// `count` random configurations: band widths uniform between the smallest and largest
+// value given, intervals and confirm counts picked from their lists
+export function sampleRandom({ upper, lower, intervals, confirms }, count, random = Math.random) {
+  const between = values => {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    return Math.round((min + random() * (max - min)) * 1000) / 1000;
+  };
+  const pick = values => values[Math.floor(random() * values.length)];
+
+  return Array.from({ length: count }, () => ({
+    rangeUpperPercentage: between(upper),
+    rangeLowerPercentage: between(lower),
+    candleInterval: pick(intervals),
+    confirmCandles: pick(confirms)
+  }));
+}
+
+// Rank on each metric (1 = best) and sort by the chosen one
+export function rankResults(results, sortBy = 'pnl') {
+  const metrics = {
+    pnl: { key: 'totalPnl', descending: true },
+    rebalances: { key: 'rebalances', descending: false },
+    timeInRange: { key: 'timeInRangePct', descending: true }
+  };
+  if (!metrics[sortBy]) {
+    throw new Error(`Unknown sort metric "${sortBy}" (use ${Object.keys(metrics).join(', ')})`);
+  }
+
+  for (const [name, { key, descending }] of Object.entries(metrics)) {
+    const sorted = [...results].sort((a, b) => descending
+      ? (b.summary[key] ?? -Infinity) - (a.summary[key] ?? -Infinity)
+      : (a.summary[key] ?? Infinity) - (b.summary[key] ?? Infinity));
+    sorted.forEach((result, i) => {
+      result.ranks = { ...result.ranks, [name]: i + 1 };
+    });
+  }
+
+  return results.sort((a, b) => a.ranks[sortBy] - b.ranks[sortBy]);
+}
+
+// One CSV row per configuration
+export function toCsv(results) {
+  const columns = [
+    'rank_pnl', 'rank_rebalances', 'rank_time_in_range',
+    'range_upper_pct', 'range_lower_pct', 'candle_interval_ms', 'confirm_candles',
+    'candles', 'rebalances', 'time_in_range_pct', 'final_value', 'total_pnl', 'pnl_vs_hodl', 'total_fees', 'total_costs'
+  ];
+  const rows = results.map(({ config, summary, ranks }) => [
+    ranks.pnl, ranks.rebalances, ranks.timeInRange,
+    config.rangeUpperPercentage, config.rangeLowerPercentage, config.candleInterval, config.confirmCandles,
+    summary.candles, summary.rebalances, summary.timeInRangePct, summary.finalValue,
+    summary.totalPnl, summary.pnlVsHodl, summary.totalFees, summary.totalCosts
+  ].join(','));
+
+  return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+// Run every configuration over the same ticks, spread across worker threads
+export async function runSweep({ pool, ticks, configs, lpCapital, workers = Math.max(1, os.cpus().length - 1), onResult = () => {} }) {
+  const workerCount = Math.min(workers, configs.length);
+  const batches = Array.from({ length: workerCount }, (_, i) => configs.filter((_, j) => j % workerCount === i));
+
+  const results = await Promise.all(batches.map(batch => new Promise((resolve, reject) => {
+    const batchResults = [];
+    const worker = new Worker(WORKER_FILE, { workerData: { pool, ticks, configs: batch, lpCapital } });
+
+    worker.on('message', result => {
+      batchResults.push(result);
+      onResult(result);
+    });
+    worker.on('error', reject);
+    worker.on('exit', code => {
+      if (code !== 0) {
+        reject(new Error(`Optimizer worker exited with code ${code}`));
+      } else {
+        resolve(batchResults);
+      }
+    });
+  })));
+
+  return results.flat();
+}
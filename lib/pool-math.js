@@ -0,0 +1,46 @@
+// Price and distribution helpers shared by every data source.
+// `pool` is a resolved registry entry (see pools.js).
+
+import { sqrtPriceX96ToPrice } from './uniswap-math.js';
+
+// Calculate price (quote per base) from sqrtPriceX96, exact up to double precision
+export function calculatePriceFromSqrtPriceX96(sqrtPriceX96, pool) {
+  return sqrtPriceX96ToPrice(sqrtPriceX96, pool);
+}
+
+// Human-readable base/quote amounts from raw token0/token1 reserves
+export function toBaseQuoteAmounts(reserve0, reserve1, pool) {
+  const amount0 = parseFloat(reserve0) / (10 ** pool.token0.decimals);
+  const amount1 = parseFloat(reserve1) / (10 ** pool.token1.decimals);
+
+  return pool.baseIsToken0
+    ? { base_amount: amount0, quote_amount: amount1 }
+    : { base_amount: amount1, quote_amount: amount0 };
+}
+
+// Quote-side value of swap volume (USD for the stablecoin-quoted pools we run) and the
+// LP fees it paid at the pool's fee tier (in pips). Fees are charged on each swap's input,
+// so this is an estimate from the total traded value.
+export function getUsdVolume(volume_token0, volume_token1, pool) {
+  const volume_usd = pool.baseIsToken0 ? volume_token1 : volume_token0;
+  return { volume_usd, fees_usd: volume_usd * (pool.feeTier || 0) / 1e6 };
+}
+
+// Traded size of one Swap event from its signed raw pool deltas
+export function toSwapVolume(amount0, amount1, pool) {
+  const volume_token0 = Math.abs(Number(amount0)) / (10 ** pool.token0.decimals);
+  const volume_token1 = Math.abs(Number(amount1)) / (10 ** pool.token1.decimals);
+  return { count: 1, volume_token0, volume_token1, ...getUsdVolume(volume_token0, volume_token1, pool) };
+}
+
+// Calculate distribution percentage (weth_pct = base token, usdc_pct = quote token)
+export function calculateDistribution(reserve0, reserve1, price, pool) {
+  const { base_amount, quote_amount } = toBaseQuoteAmounts(reserve0, reserve1, pool);
+  const baseValueInQuote = base_amount * price;
+
+  const totalValue = quote_amount + baseValueInQuote;
+  const usdc_pct = (quote_amount / totalValue) * 100;
+  const weth_pct = (baseValueInQuote / totalValue) * 100;
+
+  return { usdc_pct, weth_pct };
+}
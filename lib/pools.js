@@ -0,0 +1,128 @@
+import fs from 'fs';
+import { ethers } from 'ethers';
+import { DEFAULT_STRATEGY } from './strategies/index.js';
+import { getConfig } from './config.js';
+
+// Pool ABI (only the functions we need to resolve a registry entry)
+const POOL_ABI = [
+  'function token0() external view returns (address)',
+  'function token1() external view returns (address)',
+  'function tickSpacing() external view returns (int24)',
+  'function fee() external view returns (uint24)'
+];
+
+// ERC20 ABI for token info
+const ERC20_ABI = [
+  'function decimals() external view returns (uint8)',
+  'function symbol() external view returns (string)'
+];
+
+// Load the pool registry (poolsFile from the configuration, pools.json by default).
+// Entries without rangePercentage/candleInterval get the configured defaults.
+export function loadPoolRegistry(file = getConfig().poolsFile, { rangePercentage, candleInterval } = getConfig()) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Pool registry not found: ${file}`);
+  }
+
+  const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`Pool registry ${file} must be a non-empty array`);
+  }
+
+  return entries.map((entry, i) => {
+    for (const field of ['address', 'baseToken', 'quoteToken']) {
+      if (!entry[field] || !ethers.isAddress(entry[field])) {
+        throw new Error(`Pool registry entry ${i}: "${field}" must be an address`);
+      }
+    }
+    // A band of 100% or more would put the lower bound at or below a price of zero
+    for (const field of ['rangePercentage', 'rangeUpperPercentage', 'rangeLowerPercentage']) {
+      if (entry[field] != null && !(typeof entry[field] === 'number' && entry[field] >= 0 && entry[field] < 100)) {
+        throw new Error(`Pool registry entry ${i}: "${field}" must be a number of at least 0 and below 100`);
+      }
+    }
+
+    return {
+      name: entry.name || entry.address,
+      address: entry.address.toLowerCase(),
+      baseToken: entry.baseToken.toLowerCase(),
+      quoteToken: entry.quoteToken.toLowerCase(),
+      decimals: entry.decimals || null, // Optional { [token]: decimals } override when no RPC is available
+      rangePercentage: entry.rangePercentage ?? rangePercentage,
+      rangeUpperPercentage: entry.rangeUpperPercentage ?? null, // Optional asymmetric band above the open
+      rangeLowerPercentage: entry.rangeLowerPercentage ?? null, // Optional asymmetric band below the open
+      strategy: entry.strategy ?? DEFAULT_STRATEGY, // Strategy name or { name, ...options }, see strategies/index.js
+      candleInterval: entry.candleInterval ?? candleInterval,
+      tickSpacing: entry.tickSpacing ?? null, // Optional override, read with tickSpacing() when an RPC is available
+      feeTier: entry.feeTier ?? null // Optional override in pips, read with fee() when an RPC is available
+    };
+  });
+}
+
+// Read token0/token1 and their decimals from chain.
+// Prices are always reported as quote per base, amounts as base/quote
+// (stored in the weth_* / usdc_* fields for backwards compatibility).
+export async function resolvePool(entry, provider) {
+  let token0Address, token1Address;
+  let decimals0, decimals1, symbol0, symbol1;
+  let tickSpacing = entry.tickSpacing;
+  let feeTier = entry.feeTier;
+
+  if (provider) {
+    const poolContract = new ethers.Contract(entry.address, POOL_ABI, provider);
+    const [address0, address1, spacing, fee] = await Promise.all([
+      poolContract.token0(),
+      poolContract.token1(),
+      poolContract.tickSpacing(),
+      poolContract.fee()
+    ]);
+    [token0Address, token1Address] = [address0, address1].map(address => address.toLowerCase());
+    tickSpacing = Number(spacing);
+    feeTier = Number(fee);
+
+    const token0Contract = new ethers.Contract(token0Address, ERC20_ABI, provider);
+    const token1Contract = new ethers.Contract(token1Address, ERC20_ABI, provider);
+    [decimals0, decimals1, symbol0, symbol1] = await Promise.all([
+      token0Contract.decimals(),
+      token1Contract.decimals(),
+      token0Contract.symbol(),
+      token1Contract.symbol()
+    ]);
+  } else {
+    if (!entry.decimals) {
+      throw new Error(`Pool ${entry.name}: no RPC provider to read decimals() and no "decimals" in the registry`);
+    }
+    if (!tickSpacing) {
+      throw new Error(`Pool ${entry.name}: no RPC provider to read tickSpacing() and no "tickSpacing" in the registry`);
+    }
+    // Uniswap V3 pools sort tokens by address
+    [token0Address, token1Address] = [entry.baseToken, entry.quoteToken].sort();
+    decimals0 = entry.decimals[token0Address];
+    decimals1 = entry.decimals[token1Address];
+  }
+
+  if (![token0Address, token1Address].includes(entry.baseToken) || ![token0Address, token1Address].includes(entry.quoteToken)) {
+    throw new Error(`Pool ${entry.name}: baseToken/quoteToken do not match the pool's token0/token1`);
+  }
+
+  return {
+    ...entry,
+    token0: { address: token0Address, decimals: Number(decimals0), symbol: symbol0 || null },
+    token1: { address: token1Address, decimals: Number(decimals1), symbol: symbol1 || null },
+    tickSpacing,
+    feeTier: feeTier || 0,
+    baseIsToken0: entry.baseToken === token0Address,
+    baseSymbol: (entry.baseToken === token0Address ? symbol0 : symbol1) || 'BASE',
+    quoteSymbol: (entry.quoteToken === token0Address ? symbol0 : symbol1) || 'QUOTE'
+  };
+}
+
+export async function resolvePools(entries, provider) {
+  const pools = [];
+  for (const entry of entries) {
+    const pool = await resolvePool(entry, provider);
+    console.log(`🏊 Pool ${pool.name}: ${pool.address} (token0 ${pool.token0.symbol || pool.token0.address} ${pool.token0.decimals}d, token1 ${pool.token1.symbol || pool.token1.address} ${pool.token1.decimals}d, tickSpacing ${pool.tickSpacing}, fee ${pool.feeTier / 1e4}%)`);
+    pools.push(pool);
+  }
+  return pools;
+}
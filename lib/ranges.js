@@ -0,0 +1,15 @@
+// Where a range starts in a pool's stored positions (oldest first). rebuild-ranges.js and
+// fix-historical-positions.js share these, so they agree on the boundaries in either run order.
+
+// An Open-UP/Open-DOWN record: a rebalance opened a new range
+export function isRebalanceRecord(position) {
+  return position.status === 'Open-UP' || position.status === 'Open-DOWN';
+}
+
+// A record whose tick bounds differ from the range's without a rebalance: the engine only
+// changes them on a new range, so this is a restart that opened a fresh one. Legacy records
+// carry only prices, which drifted on every candle, so their changes are no boundary.
+export function isRestartRecord(position, range) {
+  return Number.isInteger(position.tick_lower) && Number.isInteger(position.tick_upper)
+    && (position.tick_lower !== range.tick_lower || position.tick_upper !== range.tick_upper);
+}
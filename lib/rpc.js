@@ -0,0 +1,172 @@
+import { ethers } from 'ethers';
+
+const SONIC_CHAIN_ID = 146;
+
+// Endpoint shown in logs and on /api/rpc/status; paths often carry API keys
+export function redactUrl(url) {
+  try {
+    const { protocol, host, pathname } = new URL(url);
+    return `${protocol}//${host}${pathname.length > 1 ? '/***' : ''}`;
+  } catch {
+    return '***';
+  }
+}
+
+function isRetryable(error) {
+  return ['TIMEOUT', 'NETWORK_ERROR', 'SERVER_ERROR'].includes(error.code) || error.code === undefined;
+}
+
+// JSON-RPC provider for one endpoint that times out and retries its own requests with
+// exponential backoff, records health stats, and rejects block numbers that lag behind
+// the highest block any endpoint has reported (`chain.height`).
+class TrackedJsonRpcProvider extends ethers.JsonRpcProvider {
+  constructor(url, { network, timeout, retries, backoffMs, maxBlockLag, chain }) {
+    const request = new ethers.FetchRequest(url);
+    request.timeout = timeout;
+    super(request, network, { staticNetwork: network, batchMaxCount: 1 });
+
+    this.retries = retries;
+    this.backoffMs = backoffMs;
+    this.maxBlockLag = maxBlockLag;
+    this.chain = chain;
+    this.stats = {
+      url: redactUrl(url),
+      requests: 0,
+      errors: 0,
+      timeouts: 0,
+      retries: 0,
+      stale: 0,
+      consecutiveErrors: 0,
+      avgLatencyMs: null,
+      blockNumber: null,
+      lastError: null,
+      lastErrorAt: null,
+      lastSuccessAt: null
+    };
+  }
+
+  // Transport errors are retried here; JSON-RPC error responses (reverts etc.) are returned as is
+  async _send(payload) {
+    for (let attempt = 0; ; attempt++) {
+      const startedAt = Date.now();
+      this.stats.requests++;
+      try {
+        const response = await super._send(payload);
+        this.recordSuccess(Date.now() - startedAt);
+        this.checkBlockNumber(payload, response);
+        return response;
+      } catch (error) {
+        if (error.code !== 'STALE_BLOCK') {
+          this.recordError(error);
+        }
+        if (error.code === 'STALE_BLOCK' || attempt >= this.retries || !isRetryable(error)) {
+          throw error;
+        }
+        this.stats.retries++;
+        await new Promise(resolve => setTimeout(resolve, this.backoffMs * 2 ** attempt));
+      }
+    }
+  }
+
+  recordSuccess(latencyMs) {
+    const { stats } = this;
+    stats.consecutiveErrors = 0;
+    stats.lastSuccessAt = new Date();
+    // Moving average so one slow call does not dominate
+    stats.avgLatencyMs = stats.avgLatencyMs === null ? latencyMs : Math.round(stats.avgLatencyMs * 0.8 + latencyMs * 0.2);
+  }
+
+  recordError(error) {
+    const { stats } = this;
+    stats.errors++;
+    stats.consecutiveErrors++;
+    if (error.code === 'TIMEOUT') {
+      stats.timeouts++;
+    }
+    stats.lastError = error.shortMessage || error.message;
+    stats.lastErrorAt = new Date();
+  }
+
+  // eth_blockNumber answers more than maxBlockLag behind the best known head are stale
+  checkBlockNumber(payload, response) {
+    const requests = Array.isArray(payload) ? payload : [payload];
+    requests.forEach((request, i) => {
+      const result = response[i];
+      if (request.method !== 'eth_blockNumber' || !result || !('result' in result)) return;
+
+      const blockNumber = Number(BigInt(result.result));
+      this.stats.blockNumber = blockNumber;
+      this.chain.height = Math.max(this.chain.height, blockNumber);
+
+      if (this.chain.height - blockNumber > this.maxBlockLag) {
+        this.stats.stale++;
+        this.stats.lastError = `Stale block ${blockNumber} (head ${this.chain.height})`;
+        this.stats.lastErrorAt = new Date();
+        const error = new Error(`${this.stats.url} is ${this.chain.height - blockNumber} blocks behind`);
+        error.code = 'STALE_BLOCK';
+        throw error;
+      }
+    });
+  }
+}
+
+// Provider over one or more Sonic RPC endpoints. Each endpoint times out and retries on its
+// own; a FallbackProvider fails over between them in the given order (or requires `quorum`
+// endpoints to agree). getStatus() reports per-endpoint health for /api/rpc/status.
+export function createRpcProvider({
+  urls,
+  chainId = SONIC_CHAIN_ID,
+  timeout = 5000, // Per request (ms)
+  retries = 2, // Extra attempts per endpoint on transport errors
+  backoffMs = 250, // First retry delay, doubled on every further attempt
+  stallTimeout = 1500, // Ask the next endpoint when one has not answered within this (ms)
+  quorum = 1,
+  maxBlockLag = 5 // Blocks an endpoint may trail the best known head
+}) {
+  if (!urls || urls.length === 0) {
+    throw new Error('No RPC endpoint configured (set SONIC_RPC_URL or SONIC_RPC_URLS)');
+  }
+
+  const network = ethers.Network.from(chainId);
+  const chain = { height: 0 };
+  const endpoints = urls.map(url => new TrackedJsonRpcProvider(url, { network, timeout, retries, backoffMs, maxBlockLag, chain }));
+
+  // A single endpoint needs no fallback wrapper
+  const provider = endpoints.length === 1
+    ? endpoints[0]
+    : new ethers.FallbackProvider(
+      endpoints.map((endpoint, i) => ({ provider: endpoint, priority: i + 1, stallTimeout, weight: 1 })),
+      network,
+      { quorum }
+    );
+
+  function getStatus() {
+    return {
+      chainId,
+      quorum: endpoints.length === 1 ? 1 : quorum,
+      headBlock: chain.height || null,
+      endpoints: endpoints.map(({ stats }) => ({
+        ...stats,
+        behind: stats.blockNumber !== null ? chain.height - stats.blockNumber : null,
+        healthy: stats.consecutiveErrors === 0 && (stats.blockNumber === null || chain.height - stats.blockNumber <= maxBlockLag)
+      }))
+    };
+  }
+
+  return { provider, endpoints, getStatus };
+}
+
+// createRpcProvider with the rpc* settings of lib/config.js; null when no endpoint is set
+export function createRpcFromConfig(config) {
+  if (config.rpcUrls.length === 0) {
+    return null;
+  }
+
+  return createRpcProvider({
+    urls: config.rpcUrls,
+    timeout: config.rpcTimeoutMs,
+    retries: config.rpcRetries,
+    quorum: config.rpcQuorum,
+    maxBlockLag: config.rpcMaxBlockLag
+  });
+}
@@ -0,0 +1,508 @@
+import express from 'express';
+import cors from 'cors';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadCandles, candlesToTicks, runBacktestInWorker } from './backtest.js';
+import { TIMEFRAMES, getRollupTimeframes } from './candles.js';
+import { describeConfig } from './config.js';
+import { createStrategy } from './strategies/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(path.dirname(__filename));
+const DASHBOARD_FILE = path.join(__dirname, 'index.html');
+
+const MAX_BACKTEST_HOURS = 24 * 7;
+const MAX_RUNNING_BACKTESTS = 1; // Worker threads share the host's CPU with the live engines
+const BACKTEST_TIMEOUT_MS = 120000;
+// Numeric /api/backtest parameters: a value has to be above `min` (or equal, with `orEqual`)
+// and below `max`. A band of 100% or more would put the lower bound at or below 0.
+const BACKTEST_PARAMS = {
+  hours: { min: 0 },
+  rangePct: { min: 0, max: 100 },
+  interval: { integer: true, min: 1000, orEqual: true },
+  confirm: { integer: true, min: 0, orEqual: true },
+  capital: { min: 0 }
+};
+const MAX_CHART_CANDLES = 500; // interval=auto picks the finest resolution within this many candles
+const STREAM_EVENTS = ['tick', 'candle', 'position', 'depth']; // Engine events pushed on /api/stream
+const STREAM_KEEPALIVE_MS = 15000;
+
+// Start time for the dashboard's time range buttons
+function getRangeStartTime(range) {
+  const now = new Date();
+
+  switch(range) {
+    case '15m':
+      return new Date(now.getTime() - 15 * 60 * 1000);
+    case '1h':
+      return new Date(now.getTime() - 60 * 60 * 1000);
+    case '4h':
+      return new Date(now.getTime() - 4 * 60 * 60 * 1000);
+    case '24h':
+      return new Date(now.getTime() - 24 * 60 * 60 * 1000);
+    case 'all':
+      return new Date(0); // Get all data
+    default:
+      return new Date(now.getTime() - 60 * 60 * 1000);
+  }
+}
+
+// The BACKTEST_PARAMS given in the query as numbers, and a message for each invalid one
+function parseBacktestParams(query) {
+  const values = {};
+  const errors = [];
+
+  for (const [name, { integer = false, min, max = Infinity, orEqual = false }] of Object.entries(BACKTEST_PARAMS)) {
+    if (query[name] === undefined) continue;
+
+    const value = Number(query[name]);
+    const valid = query[name] !== '' && Number.isFinite(value) && (!integer || Number.isInteger(value))
+      && (value > min || (orEqual && value === min)) && value < max;
+    if (valid) {
+      values[name] = value;
+    } else {
+      errors.push(`${name} must be ${integer ? 'an integer' : 'a number'} ${orEqual ? 'of at least' : 'above'} ${min}${max < Infinity ? ` and below ${max}` : ''}`);
+    }
+  }
+
+  return { values, errors };
+}
+
+// Optional ?pool= filter for store queries
+function getPoolFilter(req) {
+  return req.query.pool ? { pool: req.query.pool.toLowerCase() } : {};
+}
+
+// Express server for frontend, reading live state from one engine per pool.
+// `rpc` (lib/rpc.js) adds endpoint health on /api/rpc/status.
+export function createServer(engines, { rpc = null } = {}) {
+  // Simulated/replayed runs serve their own sim_* dataset
+  const { store } = engines[0];
+
+  const app = express();
+  app.use(cors());
+  // Only the dashboard is served: the repo root also holds config.json, .env and the data journals
+  app.get(['/', '/index.html'], (req, res) => res.sendFile(DASHBOARD_FILE));
+
+  // Live endpoints read the engine for ?pool= (first registered pool by default)
+  function withEngine(req, res, next) {
+    const pool = req.query.pool?.toLowerCase();
+    req.engine = pool ? engines.find(e => e.pool.address === pool) : engines[0];
+    if (!req.engine) {
+      return res.status(404).json({ error: `Pool is not monitored: ${req.query.pool}` });
+    }
+    next();
+  }
+
+  app.get('/api/pools', (req, res) => {
+    res.json(engines.map(({ pool, source, store, strategy }) => ({
+      name: pool.name,
+      address: pool.address,
+      baseSymbol: pool.baseSymbol,
+      quoteSymbol: pool.quoteSymbol,
+      rangePercentage: pool.rangePercentage,
+      candleInterval: pool.candleInterval,
+      tickSpacing: pool.tickSpacing,
+      feeTier: pool.feeTier,
+      strategy: strategy.config,
+      source: source.name,
+      simulated: store.simulated
+    })));
+  });
+
+  // API endpoints
+  app.get('/api/current', withEngine, (req, res) => {
+    const { engine } = req;
+    res.json({
+      currentCandle: engine.getCurrentCandle(),
+      position: engine.getPosition(),
+      tickData: engine.getTickData().slice(-60) // Last 15 minutes
+    });
+  });
+
+  app.get('/api/candles', withEngine, (req, res) => {
+    const { engine } = req;
+    res.json(engine.getCandles().slice(-60)); // Last 15 minutes of candles
+  });
+
+  app.get('/api/positions', withEngine, (req, res) => {
+    const { engine } = req;
+    res.json(engine.getPositionHistory());
+  });
+
+  // Server-Sent Events: the current state, then every tick, candle close, saved position
+  // and depth snapshot of the pool as the engine emits them
+  app.get('/api/stream', withEngine, (req, res) => {
+    const { engine } = req;
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    send('snapshot', {
+      pool: engine.pool.address,
+      currentCandle: engine.getCurrentCandle(),
+      position: engine.getPosition()
+    });
+
+    const listeners = STREAM_EVENTS.map(event => [event, data => send(event, data)]);
+    listeners.forEach(([event, listener]) => engine.on(event, listener));
+    // Comment lines keep proxies from closing a quiet stream
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), STREAM_KEEPALIVE_MS);
+
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      listeners.forEach(([event, listener]) => engine.off(event, listener));
+    });
+  });
+
+  // Virtual LP position marked to the latest tick
+  app.get('/api/lp', withEngine, (req, res) => {
+    const { engine } = req;
+    res.json({
+      pool: engine.pool.address,
+      lp: engine.getLpPosition()
+    });
+  });
+
+  // Liquidity distribution around the price with our range on top. Latest snapshot by
+  // default, or the last one at/before ?timestamp= (ms) together with the range held then.
+  app.get('/api/depth', withEngine, async (req, res) => {
+    try {
+      const { engine } = req;
+      const pool = engine.pool.address;
+
+      if (req.query.timestamp) {
+        const at = new Date(parseInt(req.query.timestamp));
+        const [snapshot, [position = null]] = await Promise.all([
+          store.findLiquiditySnapshot({ pool, at }),
+          store.findPositions({ pool, to: at, sort: -1, limit: 1 })
+        ]);
+        return res.json({ pool, snapshot, position });
+      }
+
+      const snapshot = engine.getDepth()
+        || await store.findLiquiditySnapshot({ pool });
+      res.json({ pool, snapshot, position: engine.getPosition() });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Effective configuration (read-only, secrets redacted) and where each value came from
+  app.get('/api/config', (req, res) => {
+    res.json(describeConfig());
+  });
+
+  // Per-endpoint RPC health: latency, errors, timeouts, stale blocks
+  app.get('/api/rpc/status', (req, res) => {
+    if (!rpc) {
+      return res.status(404).json({ error: 'No HTTP RPC provider configured' });
+    }
+    res.json(rpc.getStatus());
+  });
+
+  app.get('/api/all-data', withEngine, (req, res) => {
+    const { engine } = req;
+    res.json({
+      candles: engine.getCandles().slice(-240), // Last hour
+      tickData: engine.getTickData().slice(-240), // Last hour
+      currentCandle: engine.getCurrentCandle(),
+      position: engine.getPosition(),
+      positionHistory: engine.getPositionHistory()
+    });
+  });
+
+  // Stored history with pagination
+  app.get('/api/db/candles', async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 100;
+      const skip = (page - 1) * limit;
+
+      const [candles, totalCount] = await Promise.all([
+        store.findCandles({ ...getPoolFilter(req), sort: -1, skip, limit }),
+        store.countCandles(getPoolFilter(req))
+      ]);
+
+      res.json({
+        data: candles.reverse(),
+        pagination: {
+          page,
+          limit,
+          totalCount,
+          totalPages: Math.ceil(totalCount / limit),
+          hasMore: skip + candles.length < totalCount
+        }
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/db/positions', async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 100;
+      const skip = (page - 1) * limit;
+
+      const [positions, totalCount] = await Promise.all([
+        store.findPositions({ ...getPoolFilter(req), sort: -1, skip, limit }),
+        store.countPositions(getPoolFilter(req))
+      ]);
+
+      res.json({
+        data: positions.reverse(),
+        pagination: {
+          page,
+          limit,
+          totalCount,
+          totalPages: Math.ceil(totalCount / limit),
+          hasMore: skip + positions.length < totalCount
+        }
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/db/stats', async (req, res) => {
+    try {
+      const filter = getPoolFilter(req);
+      const [candleCount, positionCount, [latestCandle = null], [latestPosition = null], costs] = await Promise.all([
+        store.countCandles(filter),
+        store.countPositions(filter),
+        store.findCandles({ ...filter, sort: -1, limit: 1 }),
+        store.findPositions({ ...filter, sort: -1, limit: 1 }),
+        // Total rebalance costs (only Open-UP / Open-DOWN records carry a cost)
+        store.getCostSummary(filter)
+      ]);
+
+      res.json({
+        candleCount,
+        positionCount,
+        latestCandle,
+        latestPosition,
+        costs
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Strategy performance over the dashboard's ?range= window (see getAnalytics in lib/stores)
+  app.get('/api/analytics', withEngine, async (req, res) => {
+    try {
+      const { pool } = req.engine;
+      const range = req.query.range || '24h';
+      const to = new Date();
+      let from = getRangeStartTime(range);
+      if (range === 'all') {
+        const [first] = await store.findCandles({ pool: pool.address, limit: 1 });
+        from = first ? first.timestamp : to;
+      }
+
+      const stats = await store.getAnalytics({ pool: pool.address, from, to });
+      const hours = (to - from) / (60 * 60 * 1000);
+      const rebalances = stats.rebalances.up + stats.rebalances.down;
+      // Log-return deviation per candle, scaled to a year of candles
+      const { std_dev: stdDev } = stats.volatility;
+      const candlesPerYear = 365 * TIMEFRAMES['1d'] / pool.candleInterval;
+
+      res.json({
+        pool: pool.address,
+        from,
+        to,
+        hours,
+        candleInterval: pool.candleInterval,
+        rebalances: {
+          total: rebalances,
+          up: stats.rebalances.up,
+          down: stats.rebalances.down,
+          perHour: hours > 0 ? rebalances / hours : null
+        },
+        rangeLifetime: {
+          closed: stats.range_lifetime.closed,
+          meanSeconds: stats.range_lifetime.mean,
+          medianSeconds: stats.range_lifetime.median
+        },
+        timeInRangePct: stats.candles.count > 0 ? stats.candles.in_range / stats.candles.count * 100 : null,
+        flags: {
+          total: stats.flags.up + stats.flags.down,
+          up: stats.flags.up,
+          down: stats.flags.down,
+          falseAlarms: stats.flags.false_alarms_up + stats.flags.false_alarms_down,
+          falseAlarmsUp: stats.flags.false_alarms_up,
+          falseAlarmsDown: stats.flags.false_alarms_down
+        },
+        volatility: {
+          candleReturns: stats.volatility.returns,
+          perCandlePct: stdDev !== null ? stdDev * 100 : null,
+          annualizedPct: stdDev !== null ? stdDev * Math.sqrt(candlesPerYear) * 100 : null
+        }
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Backtests in flight (candle load + worker)
+  let runningBacktests = 0;
+
+  // Replay stored candles with other strategy parameters (read-only). The replay runs on a
+  // worker thread so live ticks, candle closes and the stream carry on meanwhile.
+  app.get('/api/backtest', withEngine, async (req, res) => {
+    let started = false;
+    try {
+      const { pool } = req.engine;
+      const { values, errors } = parseBacktestParams(req.query);
+      let strategy;
+      if (req.query.strategy) {
+        try {
+          strategy = req.query.strategy.startsWith('{') ? JSON.parse(req.query.strategy) : req.query.strategy;
+          createStrategy(strategy); // Unknown names fail here rather than in the worker
+        } catch (error) {
+          errors.push(`strategy: ${error.message}`);
+        }
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join('; ') });
+      }
+
+      if (runningBacktests >= MAX_RUNNING_BACKTESTS) {
+        return res.status(429).json({ error: `${runningBacktests} backtest(s) already running, try again when they finish` });
+      }
+      runningBacktests++;
+      started = true;
+
+      // A client that goes away stops its worker
+      const aborted = new AbortController();
+      res.on('close', () => {
+        if (!res.writableFinished) aborted.abort();
+      });
+
+      const hours = Math.min(values.hours ?? 24, MAX_BACKTEST_HOURS);
+      const to = new Date();
+      const from = new Date(to.getTime() - hours * 60 * 60 * 1000);
+
+      const candles = await loadCandles(store, pool.address, from, to);
+      const result = await runBacktestInWorker({
+        pool,
+        ticks: candlesToTicks(candles),
+        rangePercentage: values.rangePct ?? pool.rangePercentage,
+        candleInterval: values.interval ?? pool.candleInterval,
+        confirmCandles: values.confirm ?? 1,
+        ...(strategy && { strategy }),
+        lpCapital: values.capital ?? 10000
+      }, { timeoutMs: BACKTEST_TIMEOUT_MS, signal: aborted.signal });
+
+      res.json(result);
+    } catch (error) {
+      if (!res.headersSent) {
+        res.status(500).json({ error: error.message });
+      }
+    } finally {
+      if (started) runningBacktests--;
+    }
+  });
+
+  // The Range (see models/Range.js) that was current at a candle timestamp (ms)
+  app.get('/api/position-range/:timestamp', async (req, res) => {
+    try {
+      const clickedTime = new Date(parseInt(req.params.timestamp));
+
+      const [range] = await store.findRanges({ ...getPoolFilter(req), to: clickedTime, sort: -1, limit: 1 });
+      if (!range || (range.end && range.end < clickedTime)) {
+        return res.json({ error: 'No range found for this timestamp' });
+      }
+
+      res.json({
+        rangeStart: range.timestamp,
+        rangeEnd: range.end,
+        upperRange: range.upper_range,
+        lowerRange: range.lower_range,
+        tickLower: range.tick_lower,
+        tickUpper: range.tick_upper,
+        widthPct: range.range_width_pct,
+        openedBy: range.opened_by,
+        openCost: range.open_cost ? range.open_cost.total : null,
+        duration: range.duration,
+        flags: range.flags,
+        falseAlarms: range.false_alarms,
+        exit: range.exit,
+        rebalanceOccurred: range.exit !== null,
+        rebalanceType: range.exit ? (range.exit === 'up' ? 'Rebalance UP' : 'Rebalance DOWN') : null
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get candles by time range for chart. ?interval= is 'raw' (the stored base candles),
+  // a rollup timeframe (1m, 5m, 15m, 1h, 1d) or 'auto' (default)
+  app.get('/api/db/candles/range', async (req, res) => {
+    try {
+      const range = req.query.range || '15m';
+      const startTime = getRangeStartTime(range);
+      const engine = engines.find(e => e.pool.address === req.query.pool?.toLowerCase()) || engines[0];
+      const { candleInterval } = engine.pool;
+      const intervals = ['raw', ...getRollupTimeframes(candleInterval)];
+
+      let interval = req.query.interval || 'auto';
+      if (interval === 'auto') {
+        const first = range === 'all'
+          ? (await store.findCandles({ ...getPoolFilter(req), limit: 1 }))[0]
+          : null;
+        const span = Date.now() - (first ? first.timestamp.getTime() : startTime.getTime());
+        interval = intervals.find(name => span / (name === 'raw' ? candleInterval : TIMEFRAMES[name]) <= MAX_CHART_CANDLES)
+          || intervals[intervals.length - 1];
+      }
+      if (!intervals.includes(interval)) {
+        return res.status(400).json({ error: `Unknown interval "${interval}" (use auto, ${intervals.join(', ')})` });
+      }
+
+      const candles = await store.findCandles({
+        ...getPoolFilter(req),
+        from: startTime,
+        ...(interval !== 'raw' && { interval }),
+        limit: range === 'all' ? 5000 : 1000
+      });
+
+      res.set('X-Candle-Interval', interval);
+      res.json(candles);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get positions by time range for chart
+  app.get('/api/db/positions/range', async (req, res) => {
+    try {
+      const range = req.query.range || '15m';
+      const startTime = getRangeStartTime(range);
+
+      const positions = await store.findPositions({
+        ...getPoolFilter(req),
+        from: startTime,
+        limit: range === 'all' ? 5000 : 1000
+      });
+
+      res.json(positions);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return app;
+}
+
+// Start server
+export function startServer(app, port) {
+  return app.listen(port, () => {
+    console.log(`\n🌐 Server running on http://localhost:${port}`);
+    console.log(`📈 Open http://localhost:${port}/index.html to view the dashboard\n`);
+  });
+}
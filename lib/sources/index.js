@@ -0,0 +1,31 @@
+import { createOnchainSource } from './onchain.js';
+import { createShadowApiSource } from './shadow-api.js';
+import { createReplaySource } from './replay.js';
+import { createSimulationSource } from './simulation.js';
+
+// Every source is created for one resolved pool and exposes fetch() resolving to a
+// normalized tick record (or null on failure):
+// { pool, timestamp, price, sqrtPriceX96, liquidity, tick, reserve0, reserve1,
+//   weth_amount, usdc_amount, tvl, weth_pct, usdc_pct }
+const SOURCES = {
+  'onchain': createOnchainSource,
+  'shadow-api': createShadowApiSource,
+  'replay': createReplaySource,
+  'simulation': createSimulationSource
+};
+
+// Sources whose records are real pool history. Anything else (replays, simulations)
+// is written to the separate sim_* collections.
+export const PRODUCTION_SOURCES = ['onchain', 'shadow-api', 'backfill'];
+
+export function isProductionSource(name) {
+  return PRODUCTION_SOURCES.includes(name);
+}
+
+export function createSource(name, options) {
+  const factory = SOURCES[name];
+  if (!factory) {
+    throw new Error(`Unknown data source "${name}" (expected one of: ${Object.keys(SOURCES).join(', ')})`);
+  }
+  return factory(options);
+}
@@ -0,0 +1,271 @@
+import { ethers } from 'ethers';
+import { calculatePriceFromSqrtPriceX96, calculateDistribution, toBaseQuoteAmounts, toSwapVolume } from '../pool-math.js';
+import { getDepthTickRange, getBitmapWords, getInitializedTicks, buildDepthDistribution } from '../liquidity-depth.js';
+import { createMulticall } from '../multicall.js';
+
+// Pool ABI (only the functions and events we need)
+const POOL_ABI = [
+  'function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+  'function liquidity() external view returns (uint128)',
+  'function tickBitmap(int16 wordPosition) external view returns (uint256)',
+  // Only the leading fields; forks append more to the tick struct
+  'function ticks(int24 tick) external view returns (uint128 liquidityGross, int128 liquidityNet)',
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)'
+];
+
+// ERC20 ABI for reserves
+const ERC20_ABI = [
+  'function balanceOf(address) external view returns (uint256)'
+];
+
+const MAX_LOG_BLOCKS = 2000; // Widest eth_getLogs range read between two fetches
+
+// Data source reading slot0/liquidity/balances straight from the pool contract, batched
+// through Multicall3 so every tick is one consistent snapshot of a single block.
+// Besides polling with fetch(), it can push ticks for every new block or every Swap event.
+export function createOnchainSource({ provider, pool }) {
+  const poolAddress = pool.address;
+  const poolContract = new ethers.Contract(poolAddress, POOL_ABI, provider);
+  const token0Contract = new ethers.Contract(pool.token0.address, ERC20_ABI, provider);
+  const token1Contract = new ethers.Contract(pool.token1.address, ERC20_ABI, provider);
+  const multicall = createMulticall(provider);
+  let lastLogBlock = null; // Last block whose Swap logs were folded into a fetched tick
+
+  // 'latest' is resolved with eth_blockNumber first: lib/rpc.js rejects an endpoint that lags
+  // the chain head there (and tracks the head), which an eth_call at 'latest' would bypass
+  async function resolveBlock(blockTag) {
+    return blockTag === 'latest' ? provider.getBlockNumber() : blockTag;
+  }
+
+  // Build the normalized tick record from raw pool state
+  function buildTick({ sqrtPriceX96, tick, liquidity, reserve0, reserve1, price, blockNumber = null, blockTimestamp = null, swap = null }) {
+    // Calculate token amounts in human-readable format
+    const { base_amount, quote_amount } = toBaseQuoteAmounts(reserve0, reserve1, pool);
+
+    // Calculate distribution
+    const distribution = calculateDistribution(reserve0, reserve1, price, pool);
+
+    const record = {
+      pool: poolAddress,
+      timestamp: Date.now(),
+      price: price,
+      sqrtPriceX96: sqrtPriceX96.toString(),
+      liquidity: liquidity.toString(),
+      tick: Number(tick),
+      reserve0: reserve0.toString(),
+      reserve1: reserve1.toString(),
+      weth_amount: base_amount,
+      usdc_amount: quote_amount,
+      tvl: quote_amount + (base_amount * price),
+      block_number: blockNumber,
+      block_timestamp: blockTimestamp, // Chain time (ms) of the block the state was read at
+      ...distribution
+    };
+
+    if (swap) {
+      record.swap = swap;
+    }
+
+    return record;
+  }
+
+  // Every Swap since the previous fetch, summed, so polled candles carry volume too.
+  // Resolves to null when there were none (or on the first fetch, which only sets the start block).
+  async function fetchSwapsSince(blockNumber) {
+    if (lastLogBlock === null) {
+      lastLogBlock = blockNumber;
+      return null;
+    }
+    if (blockNumber <= lastLogBlock) {
+      return null;
+    }
+
+    const fromBlock = Math.max(lastLogBlock + 1, blockNumber - MAX_LOG_BLOCKS + 1);
+    if (fromBlock > lastLogBlock + 1) {
+      console.log(`⚠️  Swap logs of blocks ${lastLogBlock + 1}-${fromBlock - 1} skipped (more than ${MAX_LOG_BLOCKS} blocks behind), run a backfill for exact volume`);
+    }
+
+    try {
+      const logs = await poolContract.queryFilter('Swap', fromBlock, blockNumber);
+      lastLogBlock = blockNumber;
+      if (logs.length === 0) {
+        return null;
+      }
+
+      return logs.reduce((total, log) => {
+        const swap = toSwapVolume(log.args.amount0, log.args.amount1, pool);
+        total.count += swap.count;
+        total.volume_token0 += swap.volume_token0;
+        total.volume_token1 += swap.volume_token1;
+        total.volume_usd += swap.volume_usd;
+        total.fees_usd += swap.fees_usd;
+        return total;
+      }, { count: 0, volume_token0: 0, volume_token1: 0, volume_usd: 0, fees_usd: 0 });
+    } catch (error) {
+      // The price is still worth returning; these blocks are retried on the next fetch
+      console.error('❌ Error fetching Swap logs:', error.message);
+      return null;
+    }
+  }
+
+  async function fetchPoolData(blockTag = 'latest') {
+    try {
+      console.log(`🔗 Fetching on-chain data from Sonic for ${pool.name}...`);
+
+      // One eth_call for all reads, so price and reserves come from the same block;
+      // the swap logs are then read up to that block
+      const { blockNumber, blockTimestamp, results } = await multicall.aggregateAtBlock([
+        { contract: poolContract, method: 'slot0' },
+        { contract: poolContract, method: 'liquidity' },
+        { contract: token0Contract, method: 'balanceOf', args: [poolAddress] },
+        { contract: token1Contract, method: 'balanceOf', args: [poolAddress] }
+      ], await resolveBlock(blockTag));
+      const [slot0Data, [liquidity], [reserve0], [reserve1]] = results;
+      const swap = await fetchSwapsSince(blockNumber);
+
+      const sqrtPriceX96 = slot0Data[0];
+      const tick = slot0Data[1];
+
+      // Calculate actual price from sqrtPriceX96 (CORRECT for Uniswap V3)
+      const price = calculatePriceFromSqrtPriceX96(sqrtPriceX96, pool);
+
+      console.log(`✅ On-chain data fetched: Price=$${price.toFixed(2)}, Liquidity=${liquidity.toString()}`);
+
+      return buildTick({
+        sqrtPriceX96,
+        tick,
+        liquidity,
+        reserve0,
+        reserve1,
+        price,
+        blockNumber,
+        blockTimestamp,
+        swap
+      });
+    } catch (error) {
+      console.error('❌ Error fetching on-chain data:', error.message);
+      return null;
+    }
+  }
+
+  // Snapshot of the liquidity distribution ±rangePercentage around the current price
+  async function fetchDepth({ rangePercentage = 5 } = {}) {
+    try {
+      const { blockNumber, results: [slot0Data, [liquidity]] } = await multicall.aggregateAtBlock([
+        { contract: poolContract, method: 'slot0' },
+        { contract: poolContract, method: 'liquidity' }
+      ], await resolveBlock('latest'));
+      const sqrtPriceX96 = slot0Data[0];
+      const tick = Number(slot0Data[1]);
+      const price = calculatePriceFromSqrtPriceX96(sqrtPriceX96, pool);
+      const { tickLower, tickUpper } = getDepthTickRange(price, rangePercentage, pool);
+
+      // Initialized ticks in range from the bitmap, then their liquidityNet, at the same block
+      const words = getBitmapWords(tickLower, tickUpper, pool.tickSpacing);
+      const bitmaps = await multicall.aggregate(words.map(word => ({ contract: poolContract, method: 'tickBitmap', args: [word] })), blockNumber);
+      const initialized = words
+        .flatMap((word, i) => getInitializedTicks(word, bitmaps[i][0], pool.tickSpacing))
+        .filter(t => t >= tickLower && t <= tickUpper);
+      const tickInfos = initialized.length > 0
+        ? await multicall.aggregate(initialized.map(t => ({ contract: poolContract, method: 'ticks', args: [t] })), blockNumber)
+        : [];
+
+      console.log(`🌊 Depth snapshot for ${pool.name}: ${initialized.length} initialized ticks within ±${rangePercentage}%`);
+
+      return {
+        pool: poolAddress,
+        timestamp: Date.now(),
+        block_number: blockNumber,
+        price,
+        tick,
+        liquidity: liquidity.toString(),
+        tick_spacing: pool.tickSpacing,
+        range_percentage: rangePercentage,
+        ticks: initialized.map((t, i) => ({ tick: t, liquidity_net: tickInfos[i].liquidityNet.toString() })),
+        distribution: buildDepthDistribution({
+          pool,
+          tick,
+          sqrtPriceX96,
+          liquidity,
+          price,
+          tickLower,
+          tickUpper,
+          ticks: initialized.map((t, i) => ({ tick: t, liquidityNet: tickInfos[i].liquidityNet }))
+        })
+      };
+    } catch (error) {
+      console.error('❌ Error fetching liquidity depth:', error.message);
+      return null;
+    }
+  }
+
+  // One tick per Swap event, priced exactly from the post-swap sqrtPriceX96
+  async function onSwap(onTick, amount0, amount1, sqrtPriceX96, liquidity, tick, event) {
+    try {
+      const { blockNumber, blockTimestamp, results: [[reserve0], [reserve1]] } = await multicall.aggregateAtBlock([
+        { contract: token0Contract, method: 'balanceOf', args: [poolAddress] },
+        { contract: token1Contract, method: 'balanceOf', args: [poolAddress] }
+      ], event.log.blockNumber);
+      const price = calculatePriceFromSqrtPriceX96(sqrtPriceX96, pool);
+
+      console.log(`🔁 Swap in block ${blockNumber}: Price=$${price.toFixed(2)}, tick=${tick}`);
+
+      await onTick(buildTick({
+        sqrtPriceX96,
+        tick,
+        liquidity,
+        reserve0,
+        reserve1,
+        price,
+        blockNumber,
+        blockTimestamp,
+        swap: toSwapVolume(amount0, amount1, pool)
+      }));
+    } catch (error) {
+      console.error('❌ Error handling Swap event:', error.message);
+    }
+  }
+
+  // Push ticks to onTick instead of polling: mode 'swap' (every Swap event) or 'block' (every new block)
+  async function subscribe(mode, onTick) {
+    if (mode === 'swap') {
+      // Chain the handlers so swaps reach the engine in the order they were emitted
+      let queue = Promise.resolve();
+      const listener = (sender, recipient, amount0, amount1, sqrtPriceX96, liquidity, tick, event) => {
+        queue = queue.then(() => onSwap(onTick, amount0, amount1, sqrtPriceX96, liquidity, tick, event));
+      };
+      await poolContract.on('Swap', listener);
+      return () => poolContract.off('Swap', listener);
+    }
+
+    if (mode === 'block') {
+      let busy = false; // Skip blocks that arrive while the previous read is in flight
+      const listener = async (blockNumber) => {
+        if (busy) return;
+        busy = true;
+        try {
+          const data = await fetchPoolData(blockNumber);
+          if (data) {
+            await onTick(data);
+          }
+        } catch (error) {
+          console.error(`❌ Error handling block ${blockNumber}:`, error.message);
+        } finally {
+          busy = false;
+        }
+      };
+      await provider.on('block', listener);
+      return () => provider.off('block', listener);
+    }
+
+    throw new Error(`Unsupported ingestion mode for onchain source: ${mode}`);
+  }
+
+  return {
+    name: 'onchain',
+    description: 'Sonic RPC',
+    fetch: fetchPoolData,
+    fetchDepth,
+    subscribe
+  };
+}
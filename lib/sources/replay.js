@@ -0,0 +1,33 @@
+import fs from 'fs';
+
+// Data source replaying ticks recorded with RECORD_FILE (one JSON tick per line).
+// Recordings from a multi-pool run are filtered down to this pool.
+export function createReplaySource({ file, pool }) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Replay file not found: ${file}`);
+  }
+
+  const ticks = fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line))
+    .filter(tick => !tick.pool || tick.pool === pool.address);
+  let index = 0;
+
+  async function fetchPoolData() {
+    if (index >= ticks.length) {
+      if (index === ticks.length) {
+        console.log(`🏁 Replay finished (${ticks.length} ticks)`);
+        index++;
+      }
+      return null;
+    }
+    return ticks[index++];
+  }
+
+  return {
+    name: 'replay',
+    description: `File ${file} (${ticks.length} ticks)`,
+    fetch: fetchPoolData
+  };
+}
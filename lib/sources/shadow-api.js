@@ -0,0 +1,59 @@
+import axios from 'axios';
+import { calculatePriceFromSqrtPriceX96, calculateDistribution, toBaseQuoteAmounts } from '../pool-math.js';
+
+const DEFAULT_API_URL = 'https://api.shadow.so/mixed-pairs';
+
+// Data source reading the pool from Shadow's mixed-pairs REST API
+export function createShadowApiSource({ pool: poolInfo, apiUrl = DEFAULT_API_URL }) {
+  const poolAddress = poolInfo.address;
+
+  async function fetchPoolData() {
+    try {
+      const response = await axios.get(apiUrl);
+      const pools = response.data.pairs; // API returns {pairs: [...]}
+
+      // Find our specific pool
+      const pool = pools.find(p => p.id.toLowerCase() === poolAddress.toLowerCase());
+
+      if (!pool) {
+        console.error(`Pool ${poolInfo.name} not found!`);
+        return null;
+      }
+
+      // Get reserves
+      const reserve0 = pool.reserve0 || parseFloat(pool.totalValueLockedToken0) * (10 ** poolInfo.token0.decimals);
+      const reserve1 = pool.reserve1 || parseFloat(pool.totalValueLockedToken1) * (10 ** poolInfo.token1.decimals);
+
+      // Price from the pool's sqrtPrice with the same exact math as the onchain source
+      const { base_amount, quote_amount } = toBaseQuoteAmounts(reserve0, reserve1, poolInfo);
+      const price = calculatePriceFromSqrtPriceX96(pool.sqrtPrice, poolInfo);
+
+      // Calculate distribution
+      const distribution = calculateDistribution(reserve0, reserve1, price, poolInfo);
+
+      return {
+        pool: poolAddress,
+        timestamp: Date.now(),
+        price: price,
+        sqrtPriceX96: String(pool.sqrtPrice),
+        liquidity: String(pool.liquidity),
+        tick: Number(pool.tick),
+        reserve0: String(reserve0),
+        reserve1: String(reserve1),
+        weth_amount: base_amount,
+        usdc_amount: quote_amount,
+        tvl: parseFloat(pool.totalValueLockedUSD || pool.tvl),
+        ...distribution
+      };
+    } catch (error) {
+      console.error('Error fetching pool data:', error.message);
+      return null;
+    }
+  }
+
+  return {
+    name: 'shadow-api',
+    description: `API ${apiUrl}`,
+    fetch: fetchPoolData
+  };
+}
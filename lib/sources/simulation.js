@@ -0,0 +1,81 @@
+import { calculateDistribution } from '../pool-math.js';
+import { getTickAtSqrtRatio, priceToSqrtPriceX96 } from '../uniswap-math.js';
+
+const SECONDS_PER_YEAR = 365 * 24 * 3600;
+
+// Small seeded PRNG (mulberry32) so a simulation run can be reproduced
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal sample (Box-Muller)
+function normal(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// SIMULATED data source: a seeded geometric Brownian motion price path.
+// Nothing it produces is market data - records are tagged source 'simulation'
+// and stored in the sim_* collections, never next to production history.
+export function createSimulationSource({
+  pool,
+  seed = 1,
+  startPrice = 3000,
+  volatility = 0.6, // Annualized sigma
+  drift = 0, // Annualized mu
+  stepMs = 3000,
+  tvl = 250000 // Quote value of the simulated reserves
+}) {
+  const random = createRandom(seed);
+  const dt = stepMs / 1000 / SECONDS_PER_YEAR;
+  // Reserves follow a constant-product curve so the distribution moves with price
+  const k = (tvl / 2) * (tvl / 2) / startPrice;
+  let price = startPrice;
+  let step = 0;
+
+  async function fetchPoolData() {
+    if (step > 0) {
+      price *= Math.exp((drift - volatility * volatility / 2) * dt + volatility * Math.sqrt(dt) * normal(random));
+    }
+    step++;
+
+    const sqrtPriceX96 = priceToSqrtPriceX96(price, pool);
+    const base_amount = Math.sqrt(k / price);
+    const quote_amount = Math.sqrt(k * price);
+
+    // Raw token0/token1 reserves in the pool's orientation
+    const baseRaw = base_amount * (10 ** (pool.baseIsToken0 ? pool.token0.decimals : pool.token1.decimals));
+    const quoteRaw = quote_amount * (10 ** (pool.baseIsToken0 ? pool.token1.decimals : pool.token0.decimals));
+    const [reserve0, reserve1] = pool.baseIsToken0 ? [baseRaw, quoteRaw] : [quoteRaw, baseRaw];
+
+    return {
+      pool: pool.address,
+      timestamp: Date.now(),
+      price: price,
+      sqrtPriceX96: sqrtPriceX96.toString(),
+      // Constant-product reserves behave like full-range V3 liquidity L = sqrt(x * y)
+      liquidity: BigInt(Math.floor(Math.sqrt(reserve0 * reserve1))).toString(),
+      tick: getTickAtSqrtRatio(sqrtPriceX96),
+      reserve0: reserve0.toFixed(0),
+      reserve1: reserve1.toFixed(0),
+      weth_amount: base_amount,
+      usdc_amount: quote_amount,
+      tvl: quote_amount + base_amount * price,
+      ...calculateDistribution(reserve0, reserve1, price, pool)
+    };
+  }
+
+  return {
+    name: 'simulation',
+    description: `SIMULATED GBM (seed ${seed}, σ=${volatility}, μ=${drift}, start $${startPrice})`,
+    fetch: fetchPoolData
+  };
+}
@@ -0,0 +1,45 @@
+// Collections every store keeps per dataset (clear() takes a list of these)
+export const COLLECTIONS = ['candles', 'rollups', 'positions', 'ranges', 'liquiditySnapshots', 'engineStates'];
+
+// Candle fields as stored (prices rounded to cents), the same for every backend
+export function toCandleDoc(candle) {
+  return {
+    pool: candle.pool,
+    source: candle.source,
+    timestamp: new Date(candle.timestamp),
+    open: parseFloat(candle.open.toFixed(2)),
+    high: parseFloat(candle.high.toFixed(2)),
+    low: parseFloat(candle.low.toFixed(2)),
+    close: parseFloat(candle.close.toFixed(2)),
+    liquidity: candle.liquidity.toString(),
+    weth_amount: parseFloat(candle.weth_amount.toFixed(6)),
+    usdc_amount: parseFloat(candle.usdc_amount.toFixed(2)),
+    swap_count: candle.swap_count || 0,
+    volume_token0: candle.volume_token0 || 0,
+    volume_token1: candle.volume_token1 || 0,
+    volume_usd: parseFloat((candle.volume_usd || 0).toFixed(2)),
+    fees_usd: parseFloat((candle.fees_usd || 0).toFixed(4)),
+    sample_count: candle.sample_count || 0,
+    missing: candle.missing || false,
+    block_number: candle.block_number ?? null,
+    block_timestamp: candle.block_timestamp ? new Date(candle.block_timestamp) : null
+  };
+}
+
+// Middle value of ascending numbers (null for none)
+export function median(sorted) {
+  if (sorted.length === 0) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// getCostSummary() of a pool without any rebalance
+export const EMPTY_COST_SUMMARY = Object.freeze({
+  rebalances: 0,
+  swap_notional: 0,
+  swap_fees: 0,
+  price_impact: 0,
+  gas_cost: 0,
+  total: 0,
+  avg_per_rebalance: 0
+});
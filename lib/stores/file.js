@@ -0,0 +1,93 @@
+import fs from 'fs';
+import path from 'path';
+import { createMemoryStore, createCollections } from './memory.js';
+
+// One JSON-lines journal per collection, named like the MongoDB collections
+// (sim_ prefix for the simulated dataset). Engine checkpoints are rewritten whole.
+const JOURNALS = {
+  candles: 'candles.jsonl',
+  rollups: 'candle_rollups.jsonl',
+  positions: 'positions.jsonl',
+  ranges: 'ranges.jsonl',
+  liquiditySnapshots: 'liquidity_snapshots.jsonl'
+};
+const ENGINE_STATES_FILE = 'engine_states.json';
+
+// Fields written as ISO strings that the stores hand out as Dates
+const DATE_FIELDS = new Set([
+  'timestamp', 'end', 'block_timestamp', 'createdAt', 'updatedAt', 'minted_at', 'out_of_range_detected_at', 'last_tick_at'
+]);
+
+function reviveDates(key, value) {
+  return DATE_FIELDS.has(key) && typeof value === 'string' ? new Date(value) : value;
+}
+
+function writeFileAtomic(file, data) {
+  fs.writeFileSync(`${file}.tmp`, data);
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// Replay a journal into its collection. Keyed collections keep the last version of each
+// document, so the journal is compacted when it holds replaced versions. A line cut
+// off by a crash is skipped.
+function loadJournal(file, collection) {
+  if (!fs.existsSync(file)) return;
+
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+  for (const line of lines) {
+    try {
+      collection.put(JSON.parse(line, reviveDates));
+    } catch {
+      console.warn(`⚠️  Skipping unreadable line in ${file}`);
+    }
+  }
+
+  if (collection.docs.length < lines.length) {
+    writeFileAtomic(file, collection.docs.map(doc => `${JSON.stringify(doc)}\n`).join(''));
+  }
+}
+
+// Memory store persisted to `dir`, for offline runs that should survive a restart.
+// The files are read once on creation; every write is appended in order in the
+// background (flush() resolves once everything is on disk).
+export function createFileStore({ simulated = false, dir = 'data', logger = console } = {}) {
+  const prefix = simulated ? 'sim_' : '';
+  const fileOf = name => path.join(dir, `${prefix}${name}`);
+  const collections = createCollections();
+
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [name, file] of Object.entries(JOURNALS)) {
+    loadJournal(fileOf(file), collections[name]);
+  }
+  if (fs.existsSync(fileOf(ENGINE_STATES_FILE))) {
+    for (const state of JSON.parse(fs.readFileSync(fileOf(ENGINE_STATES_FILE), 'utf8'), reviveDates)) {
+      collections.engineStates.set(state.pool, state);
+    }
+  }
+
+  let writes = Promise.resolve();
+  function enqueue(write) {
+    writes = writes.then(write).catch(error => console.error('Error writing file store:', error.message));
+  }
+
+  function onChange(name, docs) {
+    if (name === 'engineStates') {
+      const states = JSON.stringify([...collections.engineStates.values()]);
+      enqueue(() => writeFileAtomic(fileOf(ENGINE_STATES_FILE), states));
+    } else {
+      const lines = docs.map(doc => `${JSON.stringify(doc)}\n`).join('');
+      enqueue(() => fs.promises.appendFile(fileOf(JOURNALS[name]), lines));
+    }
+  }
+
+  function onClear(names) {
+    enqueue(() => names.forEach(name => fs.rmSync(fileOf(JOURNALS[name] || ENGINE_STATES_FILE), { force: true })));
+  }
+
+  return {
+    ...createMemoryStore({ simulated, logger, collections, onChange, onClear }),
+    backend: 'file',
+    dir,
+    flush: () => writes
+  };
+}
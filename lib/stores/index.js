@@ -0,0 +1,63 @@
+import { connectDB, mongoose } from '../../db.js';
+import { getConfig } from '../config.js';
+import { createMongoStore } from './mongo.js';
+import { createMemoryStore } from './memory.js';
+import { createFileStore } from './file.js';
+
+export { createMemoryStore };
+
+// Every store holds one dataset (production, or the simulated one replays and simulations
+// write to) and exposes the same methods:
+//   writes:  saveCandle, rollupCandle, rebuildRollups, upsertCandles, savePosition,
+//            updatePosition, saveRange, saveLiquiditySnapshot, saveEngineState, clear
+//   reads:   findCandles, countCandles, findPositions, countPositions, findRanges,
+//            getCostSummary, getAnalytics, findLiquiditySnapshot, loadEngineState,
+//            loadLatestPosition
+// Reads take { pool, from, to, where, sort, skip, limit }: from/to bound the timestamp
+// (inclusive), where matches fields exactly, sort is 1 (oldest first) or -1.
+// findCandles({ interval: '5m' }) reads the rollups instead of the base candles.
+const BACKENDS = {
+  'mongodb': ({ simulated }) => createMongoStore({ simulated }),
+  'memory': ({ simulated }) => createMemoryStore({ simulated, logger: console }),
+  'file': ({ simulated, dataDir }) => createFileStore({ simulated, dir: dataDir })
+};
+
+// One store per backend and dataset, shared by every engine and the API
+const stores = new Map();
+
+export function createStore({ simulated = false, backend = getConfig().storage } = {}) {
+  const factory = BACKENDS[backend];
+  if (!factory) {
+    throw new Error(`Unknown storage backend "${backend}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+
+  const key = `${backend}:${simulated}`;
+  if (!stores.has(key)) {
+    stores.set(key, factory({ simulated, dataDir: getConfig().dataDir }));
+  }
+  return stores.get(key);
+}
+
+// Open the configured backend before the first read or write. Only MongoDB needs a connection.
+export async function connectStorage(backend = getConfig().storage) {
+  if (backend === 'mongodb') {
+    await connectDB();
+  } else {
+    console.log(`💾 Storage: ${backend}${backend === 'file' ? ` (${getConfig().dataDir})` : ' (nothing is kept after exit)'}`);
+  }
+}
+
+// For the scripts that work on MongoDB indexes and collections directly
+export async function connectMongoStorage() {
+  const { storage } = getConfig();
+  if (storage !== 'mongodb') {
+    throw new Error(`This script only applies to MongoDB storage (storage is ${storage})`);
+  }
+  await connectStorage(storage);
+}
+
+// Write out pending file store writes and close the MongoDB connection
+export async function closeStorage() {
+  await Promise.all([...stores.values()].map(store => store.flush?.()));
+  await mongoose.connection.close();
+}
@@ -0,0 +1,422 @@
+import { TIMEFRAMES, getCandleStart, getRollupTimeframes } from '../candles.js';
+import { toCandleDoc, median, EMPTY_COST_SUMMARY, COLLECTIONS } from './documents.js';
+
+const SILENT_LOGGER = { log: () => {} };
+
+// Candles, positions and ranges are unique per pool and timestamp (the engine saves one
+// position per candle close), rollups also per interval
+const candleKey = doc => `${doc.pool}:${doc.timestamp.getTime()}`;
+const rollupKey = doc => `${doc.pool}:${doc.interval}:${doc.timestamp.getTime()}`;
+
+// Documents of one collection ordered by timestamp. With `keyOf`, put() replaces the
+// document with the same key (like a unique index with an upsert).
+function createCollection(keyOf = null) {
+  const docs = [];
+  const byKey = new Map();
+
+  // First position whose timestamp is after `time` (or at/after it with `inclusive`)
+  function bisect(time, inclusive = false) {
+    let low = 0;
+    let high = docs.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      const midTime = docs[mid].timestamp.getTime();
+      if (midTime < time || (!inclusive && midTime === time)) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  function get(key) {
+    return byKey.get(key) || null;
+  }
+
+  function put(doc) {
+    const existing = keyOf ? byKey.get(keyOf(doc)) : null;
+    if (existing) {
+      // A replacement has the same key and therefore the same timestamp
+      let i = bisect(existing.timestamp.getTime(), true);
+      while (docs[i] !== existing) i++;
+      docs[i] = doc;
+    } else {
+      docs.splice(bisect(doc.timestamp.getTime()), 0, doc);
+    }
+    if (keyOf) {
+      byKey.set(keyOf(doc), doc);
+    }
+  }
+
+  // Same options as the MongoDB store: pool, from/to (inclusive), where (field equality),
+  // sort (1 oldest first, -1 newest first), skip, limit
+  function find({ pool, from, to, where = {}, sort = 1, skip = 0, limit = 0 } = {}) {
+    const start = from != null ? bisect(new Date(from).getTime(), true) : 0;
+    const end = to != null ? bisect(new Date(to).getTime()) : docs.length;
+    const conditions = Object.entries({ ...where, ...(pool && { pool: pool.toLowerCase() }) });
+    const matches = docs.slice(start, end).filter(doc => conditions.every(([field, value]) => doc[field] === value));
+    if (sort < 0) {
+      matches.reverse();
+    }
+    return matches.slice(skip, limit ? skip + limit : undefined);
+  }
+
+  function clear() {
+    const count = docs.length;
+    docs.length = 0;
+    byKey.clear();
+    return count;
+  }
+
+  return { docs, get, put, find, clear };
+}
+
+// Empty collections for createMemoryStore; the file store fills them from disk first
+export function createCollections() {
+  return {
+    candles: createCollection(candleKey),
+    rollups: createCollection(rollupKey),
+    positions: createCollection(candleKey),
+    ranges: createCollection(candleKey),
+    liquiditySnapshots: createCollection(),
+    engineStates: new Map() // pool → checkpoint
+  };
+}
+
+// Documents split by pool, each list in its original order (the MongoDB pipelines
+// partition by pool the same way)
+function groupByPool(docs) {
+  const groups = new Map();
+  for (const doc of docs) {
+    if (!groups.has(doc.pool)) {
+      groups.set(doc.pool, []);
+    }
+    groups.get(doc.pool).push(doc);
+  }
+  return [...groups.values()];
+}
+
+// Fold a base candle into the rollup candle of its bucket (null when the bucket is new),
+// as the MongoDB store's $setOnInsert/$max/$min/$inc update does
+function foldRollup(rollup, doc, key) {
+  return {
+    ...key,
+    source: doc.source,
+    open: rollup ? rollup.open : doc.open,
+    high: rollup ? Math.max(rollup.high, doc.high) : doc.high,
+    low: rollup ? Math.min(rollup.low, doc.low) : doc.low,
+    close: doc.close,
+    liquidity: doc.liquidity,
+    weth_amount: doc.weth_amount,
+    usdc_amount: doc.usdc_amount,
+    swap_count: (rollup?.swap_count || 0) + doc.swap_count,
+    volume_token0: (rollup?.volume_token0 || 0) + doc.volume_token0,
+    volume_token1: (rollup?.volume_token1 || 0) + doc.volume_token1,
+    volume_usd: (rollup?.volume_usd || 0) + doc.volume_usd,
+    fees_usd: (rollup?.fees_usd || 0) + doc.fees_usd,
+    candle_count: (rollup?.candle_count || 0) + 1,
+    sample_count: (rollup?.sample_count || 0) + doc.sample_count,
+    missing: rollup ? rollup.missing && doc.missing : doc.missing
+  };
+}
+
+// Store that keeps everything in process memory and never needs a database: backtests
+// (a private store per run) and STORAGE=memory runs. `onChange(collection, docs)` and
+// `onClear(collections)` let the file store persist what changed.
+export function createMemoryStore({
+  simulated = true,
+  logger = SILENT_LOGGER,
+  rollups = true, // Backtests skip the higher timeframes nobody reads
+  collections = createCollections(),
+  onChange = () => {},
+  onClear = () => {}
+} = {}) {
+  const { candles, rollups: rollupCandles, positions, ranges, liquiditySnapshots, engineStates } = collections;
+
+  async function saveCandle(candle) {
+    const doc = toCandleDoc(candle);
+    if (candles.get(candleKey(doc))) {
+      logger.log(`⚠️  Duplicate candle skipped for ${candle.pool} at ${doc.timestamp.toISOString()}`);
+      return false;
+    }
+
+    candles.put(doc);
+    onChange('candles', [doc]);
+    logger.log(`💾 Candle saved: O:${candle.open.toFixed(2)} H:${candle.high.toFixed(2)} L:${candle.low.toFixed(2)} C:${candle.close.toFixed(2)}`);
+    return true;
+  }
+
+  async function rollupCandle(candle, candleInterval) {
+    if (!rollups) return;
+
+    const doc = toCandleDoc(candle);
+    const folded = getRollupTimeframes(candleInterval).map(interval => {
+      const key = {
+        pool: doc.pool,
+        interval,
+        timestamp: new Date(getCandleStart(doc.timestamp.getTime(), TIMEFRAMES[interval]))
+      };
+      const rollup = foldRollup(rollupCandles.get(rollupKey(key)), doc, key);
+      rollupCandles.put(rollup);
+      return rollup;
+    });
+    if (folded.length > 0) {
+      onChange('rollups', folded);
+    }
+  }
+
+  async function rebuildRollups(poolAddress, candleInterval, from, to) {
+    if (!rollups) return 0;
+
+    const pool = poolAddress.toLowerCase();
+    const rebuilt = [];
+
+    for (const interval of getRollupTimeframes(candleInterval)) {
+      const ms = TIMEFRAMES[interval];
+      const buckets = new Map();
+      const docs = candles.find({
+        pool,
+        from: getCandleStart(new Date(from).getTime(), ms),
+        to: getCandleStart(new Date(to).getTime(), ms) + ms - 1
+      });
+
+      for (const doc of docs) {
+        const bucket = getCandleStart(doc.timestamp.getTime(), ms);
+        const key = { pool, interval, timestamp: new Date(bucket) };
+        buckets.set(bucket, foldRollup(buckets.get(bucket) || null, doc, key));
+      }
+      buckets.forEach(rollup => rollupCandles.put(rollup));
+      rebuilt.push(...buckets.values());
+    }
+
+    if (rebuilt.length > 0) {
+      onChange('rollups', rebuilt);
+    }
+    return rebuilt.length;
+  }
+
+  // Same rules as the MongoDB store: new candles are inserted, filled `missing` ones
+  // are replaced by real data, anything else already stored is kept
+  async function upsertCandles(newCandles) {
+    const result = { inserted: 0, replaced: 0, existing: 0 };
+    const written = [];
+
+    for (const candle of newCandles) {
+      const doc = toCandleDoc(candle);
+      const stored = candles.get(candleKey(doc));
+      if (stored && !(stored.missing && !doc.missing)) {
+        result.existing++;
+        continue;
+      }
+      candles.put(doc);
+      written.push(doc);
+      result[stored ? 'replaced' : 'inserted']++;
+    }
+
+    if (written.length > 0) {
+      onChange('candles', written);
+    }
+    return result;
+  }
+
+  async function savePosition(positionData) {
+    const now = new Date();
+    const doc = {
+      ...positionData,
+      pool: positionData.pool.toLowerCase(),
+      timestamp: new Date(positionData.timestamp),
+      rebalance_type: positionData.rebalance_type ?? 'N/A',
+      createdAt: now,
+      updatedAt: now
+    };
+    positions.put(doc);
+    onChange('positions', [doc]);
+  }
+
+  async function updatePosition(position, fields) {
+    const stored = positions.get(candleKey({ pool: position.pool, timestamp: new Date(position.timestamp) }));
+    if (!stored) return;
+
+    const doc = { ...stored, ...fields, updatedAt: new Date() };
+    positions.put(doc);
+    onChange('positions', [doc]);
+  }
+
+  // Copied, as the engine keeps updating the current range
+  async function saveRange(range) {
+    const doc = { ...range, timestamp: new Date(range.timestamp), end: range.end ? new Date(range.end) : null, updatedAt: new Date() };
+    ranges.put(doc);
+    onChange('ranges', [doc]);
+  }
+
+  async function saveLiquiditySnapshot(snapshot) {
+    const doc = { ...snapshot, timestamp: new Date(snapshot.timestamp) };
+    liquiditySnapshots.put(doc);
+    onChange('liquiditySnapshots', [doc]);
+  }
+
+  // Copied, so later changes to the engine's buffers don't leak into the checkpoint
+  async function saveEngineState(state) {
+    const doc = { ...engineStates.get(state.pool), ...structuredClone(state), updatedAt: new Date() };
+    engineStates.set(state.pool, doc);
+    onChange('engineStates', [doc]);
+  }
+
+  async function loadEngineState(poolAddress) {
+    const state = engineStates.get(poolAddress.toLowerCase());
+    return state ? structuredClone(state) : null;
+  }
+
+  async function loadLatestPosition(poolAddress) {
+    return positions.find({ pool: poolAddress, sort: -1, limit: 1 })[0] || null;
+  }
+
+  async function findCandles({ interval, ...options } = {}) {
+    return interval
+      ? rollupCandles.find({ ...options, where: { ...options.where, interval } })
+      : candles.find(options);
+  }
+
+  async function countCandles(filter = {}) {
+    return candles.find(filter).length;
+  }
+
+  async function findPositions(options = {}) {
+    return positions.find(options);
+  }
+
+  async function countPositions(filter = {}) {
+    return positions.find(filter).length;
+  }
+
+  async function findRanges(options = {}) {
+    return ranges.find(options);
+  }
+
+  async function getCostSummary(filter = {}) {
+    const costs = positions.find(filter).filter(position => position.cost).map(position => position.cost);
+    if (costs.length === 0) {
+      return { ...EMPTY_COST_SUMMARY };
+    }
+
+    const sum = field => costs.reduce((total, cost) => total + (cost[field] || 0), 0);
+    return {
+      rebalances: costs.length,
+      swap_notional: sum('swap_notional'),
+      swap_fees: sum('swap_fee'),
+      price_impact: sum('price_impact'),
+      gas_cost: sum('gas_cost'),
+      total: sum('total'),
+      avg_per_rebalance: sum('total') / costs.length
+    };
+  }
+
+  // Same metrics as the MongoDB store's aggregation pipelines
+  async function getAnalytics({ pool, from, to }) {
+    const windowPositions = positions.find({ pool, from, to });
+    const countWhere = condition => windowPositions.filter(condition).length;
+    const falseAlarms = { 'Price-UP': 0, 'Price-DOWN': 0 };
+    for (const poolPositions of groupByPool(windowPositions)) {
+      poolPositions.forEach((position, i) => {
+        if (position.status in falseAlarms && poolPositions[i + 1]?.status === 'Monitoring') {
+          falseAlarms[position.status]++;
+        }
+      });
+    }
+
+    const durations = ranges.find({ pool })
+      .filter(range => range.end && range.end >= new Date(from) && range.end <= new Date(to))
+      .map(range => range.duration)
+      .sort((a, b) => a - b);
+
+    // Walk each pool's candles and ranges together, both oldest first. Filled candles
+    // carry no price of their own, so they count neither in range nor towards volatility.
+    let counted = 0;
+    let inRange = 0;
+    const returns = [];
+    for (const poolCandles of groupByPool(candles.find({ pool, from, to }).filter(candle => !candle.missing))) {
+      const poolRanges = ranges.find({ pool: poolCandles[0].pool, to });
+      let current = -1;
+      for (const candle of poolCandles) {
+        while (current + 1 < poolRanges.length && poolRanges[current + 1].timestamp <= candle.timestamp) current++;
+        const range = poolRanges[current];
+        if (!range || (range.end && range.end <= candle.timestamp)) continue;
+        counted++;
+        if (candle.close >= range.lower_range && candle.close < range.upper_range) inRange++;
+      }
+
+      poolCandles.slice(1).forEach((candle, i) => {
+        const previous = poolCandles[i].close;
+        if (previous > 0) returns.push(Math.log(candle.close / previous));
+      });
+    }
+    const meanReturn = returns.reduce((total, value) => total + value, 0) / returns.length;
+    const stdDev = returns.length > 1
+      ? Math.sqrt(returns.reduce((total, value) => total + (value - meanReturn) ** 2, 0) / (returns.length - 1))
+      : null;
+
+    return {
+      rebalances: {
+        up: countWhere(position => position.status === 'Open-UP'),
+        down: countWhere(position => position.status === 'Open-DOWN')
+      },
+      flags: {
+        up: countWhere(position => position.status === 'Price-UP'),
+        down: countWhere(position => position.status === 'Price-DOWN'),
+        false_alarms_up: falseAlarms['Price-UP'],
+        false_alarms_down: falseAlarms['Price-DOWN']
+      },
+      range_lifetime: {
+        closed: durations.length,
+        mean: durations.length ? durations.reduce((total, value) => total + value, 0) / durations.length : null,
+        median: median(durations)
+      },
+      candles: { count: counted, in_range: inRange },
+      volatility: { returns: returns.length, std_dev: stdDev }
+    };
+  }
+
+  async function findLiquiditySnapshot({ pool, at } = {}) {
+    return liquiditySnapshots.find({ pool, to: at, sort: -1, limit: 1 })[0] || null;
+  }
+
+  async function clear(names = COLLECTIONS) {
+    const deleted = {};
+    for (const name of names) {
+      if (name === 'engineStates') {
+        deleted[name] = engineStates.size;
+        engineStates.clear();
+      } else {
+        deleted[name] = collections[name].clear();
+      }
+    }
+    onClear(names);
+    return deleted;
+  }
+
+  return {
+    backend: 'memory',
+    simulated,
+    saveCandle,
+    rollupCandle,
+    rebuildRollups,
+    savePosition,
+    updatePosition,
+    saveRange,
+    upsertCandles,
+    saveLiquiditySnapshot,
+    saveEngineState,
+    loadEngineState,
+    loadLatestPosition,
+    findCandles,
+    countCandles,
+    findPositions,
+    countPositions,
+    findRanges,
+    getCostSummary,
+    getAnalytics,
+    findLiquiditySnapshot,
+    clear
+  };
+}
@@ -0,0 +1,457 @@
+import Candle, { SimulatedCandle } from '../../models/Candle.js';
+import Position, { SimulatedPosition } from '../../models/Position.js';
+import EngineState, { SimulatedEngineState } from '../../models/EngineState.js';
+import CandleRollup, { SimulatedCandleRollup } from '../../models/CandleRollup.js';
+import Range, { SimulatedRange } from '../../models/Range.js';
+import LiquiditySnapshot from '../../models/LiquiditySnapshot.js';
+import { TIMEFRAMES, getCandleStart, getRollupTimeframes } from '../candles.js';
+import { toCandleDoc, median, EMPTY_COST_SUMMARY, COLLECTIONS } from './documents.js';
+
+// MongoDB filter for the store query options (see index.js)
+function toQuery({ pool, from, to, where = {} }) {
+  const query = { ...where };
+  if (pool) {
+    query.pool = pool.toLowerCase();
+  }
+  if (from != null || to != null) {
+    query.timestamp = {
+      ...(from != null && { $gte: new Date(from) }),
+      ...(to != null && { $lte: new Date(to) })
+    };
+  }
+  return query;
+}
+
+function find(Model, { sort = 1, skip = 0, limit = 0, ...filter } = {}) {
+  return Model.find(toQuery(filter)).sort({ timestamp: sort }).skip(skip).limit(limit).lean();
+}
+
+// Persistence for engine output in MongoDB. Simulated/replayed runs write to the sim_* collections.
+export function createMongoStore({ simulated = false } = {}) {
+  const CandleModel = simulated ? SimulatedCandle : Candle;
+  const PositionModel = simulated ? SimulatedPosition : Position;
+  const EngineStateModel = simulated ? SimulatedEngineState : EngineState;
+  const RollupModel = simulated ? SimulatedCandleRollup : CandleRollup;
+  const RangeModel = simulated ? SimulatedRange : Range;
+
+  // Save position data to MongoDB
+  async function savePosition(positionData) {
+    try {
+      const newPosition = new PositionModel(positionData);
+      await newPosition.save();
+    } catch (error) {
+      console.error('Error saving position:', error.message);
+    }
+  }
+
+  // Set fields on a stored position (found by _id, or by pool and timestamp)
+  async function updatePosition(position, fields) {
+    try {
+      const filter = position._id ? { _id: position._id } : { pool: position.pool, timestamp: position.timestamp };
+      await PositionModel.updateOne(filter, { $set: fields });
+    } catch (error) {
+      console.error('Error updating position:', error.message);
+    }
+  }
+
+  // Save candle to MongoDB. Resolves to false when it was not stored (duplicate or error).
+  async function saveCandle(candle) {
+    try {
+      const candleDoc = new CandleModel(toCandleDoc(candle));
+      await candleDoc.save();
+      console.log(`💾 Candle saved: O:${candle.open.toFixed(2)} H:${candle.high.toFixed(2)} L:${candle.low.toFixed(2)} C:${candle.close.toFixed(2)}`);
+      return true;
+    } catch (error) {
+      if (error.code === 11000) {
+        console.log(`⚠️  Duplicate candle skipped for ${candle.pool} at ${new Date(candle.timestamp).toISOString()}`);
+      } else {
+        console.error('Error saving candle:', error.message);
+      }
+      return false;
+    }
+  }
+
+  // Fold one newly stored base candle into the higher-timeframe candles it belongs to
+  async function rollupCandle(candle, candleInterval) {
+    const doc = toCandleDoc(candle);
+    const operations = getRollupTimeframes(candleInterval).map(interval => ({
+      updateOne: {
+        filter: {
+          pool: doc.pool,
+          interval,
+          timestamp: new Date(getCandleStart(doc.timestamp.getTime(), TIMEFRAMES[interval]))
+        },
+        update: {
+          $setOnInsert: { open: doc.open, ...(doc.missing && { missing: true }) },
+          $max: { high: doc.high },
+          $min: { low: doc.low },
+          $set: {
+            source: doc.source,
+            close: doc.close,
+            liquidity: doc.liquidity,
+            weth_amount: doc.weth_amount,
+            usdc_amount: doc.usdc_amount,
+            ...(!doc.missing && { missing: false })
+          },
+          $inc: {
+            swap_count: doc.swap_count,
+            volume_token0: doc.volume_token0,
+            volume_token1: doc.volume_token1,
+            volume_usd: doc.volume_usd,
+            fees_usd: doc.fees_usd,
+            candle_count: 1,
+            sample_count: doc.sample_count
+          }
+        },
+        upsert: true
+      }
+    }));
+    if (operations.length === 0) return;
+
+    try {
+      await RollupModel.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      console.error('Error rolling up candle:', error.message);
+    }
+  }
+
+  // Recompute every higher-timeframe candle overlapping from..to from the stored base candles
+  // (after backfills, filled gaps, or for history stored before rollups existed)
+  async function rebuildRollups(poolAddress, candleInterval, from, to) {
+    const pool = poolAddress.toLowerCase();
+    let rebuilt = 0;
+
+    try {
+      for (const interval of getRollupTimeframes(candleInterval)) {
+        const ms = TIMEFRAMES[interval];
+        const bucketTimestamp = { $toLong: '$timestamp' };
+        const buckets = await CandleModel.aggregate([
+          {
+            $match: {
+              pool,
+              timestamp: {
+                $gte: new Date(getCandleStart(new Date(from).getTime(), ms)),
+                $lt: new Date(getCandleStart(new Date(to).getTime(), ms) + ms)
+              }
+            }
+          },
+          { $sort: { timestamp: 1 } },
+          {
+            $group: {
+              _id: { $subtract: [bucketTimestamp, { $mod: [bucketTimestamp, ms] }] },
+              source: { $last: '$source' },
+              open: { $first: '$open' },
+              high: { $max: '$high' },
+              low: { $min: '$low' },
+              close: { $last: '$close' },
+              liquidity: { $last: '$liquidity' },
+              weth_amount: { $last: '$weth_amount' },
+              usdc_amount: { $last: '$usdc_amount' },
+              swap_count: { $sum: '$swap_count' },
+              volume_token0: { $sum: '$volume_token0' },
+              volume_token1: { $sum: '$volume_token1' },
+              volume_usd: { $sum: '$volume_usd' },
+              fees_usd: { $sum: '$fees_usd' },
+              candle_count: { $sum: 1 },
+              sample_count: { $sum: '$sample_count' },
+              missing: { $min: { $ifNull: ['$missing', false] } }
+            }
+          }
+        ]).allowDiskUse(true);
+        if (buckets.length === 0) continue;
+
+        await RollupModel.bulkWrite(buckets.map(({ _id, ...bucket }) => {
+          const key = { pool, interval, timestamp: new Date(_id) };
+          return { replaceOne: { filter: key, replacement: { ...key, ...bucket }, upsert: true } };
+        }), { ordered: false });
+        rebuilt += buckets.length;
+      }
+    } catch (error) {
+      console.error('Error rebuilding rollups:', error.message);
+    }
+
+    return rebuilt;
+  }
+
+  // Insert candles whose pool + timestamp is not stored yet. Existing candles are left
+  // untouched, except filled `missing` ones, which real data replaces.
+  async function upsertCandles(candles) {
+    if (candles.length === 0) {
+      return { inserted: 0, replaced: 0, existing: 0 };
+    }
+
+    try {
+      const result = await CandleModel.bulkWrite(candles.flatMap(candle => {
+        const doc = toCandleDoc(candle);
+        const operations = [{
+          updateOne: {
+            filter: { pool: doc.pool, timestamp: doc.timestamp },
+            update: { $setOnInsert: doc },
+            upsert: true
+          }
+        }];
+        if (!doc.missing) {
+          operations.unshift({
+            replaceOne: {
+              filter: { pool: doc.pool, timestamp: doc.timestamp, missing: true },
+              replacement: doc
+            }
+          });
+        }
+        return operations;
+      }), { ordered: false });
+
+      return {
+        inserted: result.upsertedCount,
+        replaced: result.modifiedCount,
+        existing: candles.length - result.upsertedCount - result.modifiedCount
+      };
+    } catch (error) {
+      console.error('Error upserting candles:', error.message);
+      return { inserted: 0, replaced: 0, existing: 0 };
+    }
+  }
+
+  // Insert or overwrite a Range, identified by pool and start
+  async function saveRange(range) {
+    try {
+      await RangeModel.replaceOne({ pool: range.pool, timestamp: range.timestamp }, range, { upsert: true });
+    } catch (error) {
+      console.error('Error saving range:', error.message);
+    }
+  }
+
+  // Depth snapshots only come from the onchain source, so they are never simulated
+  async function saveLiquiditySnapshot(snapshot) {
+    try {
+      await new LiquiditySnapshot({ ...snapshot, timestamp: new Date(snapshot.timestamp) }).save();
+    } catch (error) {
+      console.error('Error saving liquidity snapshot:', error.message);
+    }
+  }
+
+  // Overwrite the pool's engine checkpoint
+  async function saveEngineState(state) {
+    try {
+      await EngineStateModel.updateOne({ pool: state.pool }, { $set: state }, { upsert: true });
+    } catch (error) {
+      console.error('Error saving engine state:', error.message);
+    }
+  }
+
+  async function loadEngineState(poolAddress) {
+    return EngineStateModel.findOne({ pool: poolAddress.toLowerCase() }).lean();
+  }
+
+  async function loadLatestPosition(poolAddress) {
+    return PositionModel.findOne({ pool: poolAddress.toLowerCase() }).sort({ timestamp: -1 }).lean();
+  }
+
+  // Base candles, or the rollups of `interval` (1m, 5m, ...)
+  async function findCandles({ interval, ...options } = {}) {
+    return interval
+      ? find(RollupModel, { ...options, where: { ...options.where, interval } })
+      : find(CandleModel, options);
+  }
+
+  async function countCandles(filter = {}) {
+    return CandleModel.countDocuments(toQuery(filter));
+  }
+
+  async function findPositions(options = {}) {
+    return find(PositionModel, options);
+  }
+
+  async function countPositions(filter = {}) {
+    return PositionModel.countDocuments(toQuery(filter));
+  }
+
+  // Ranges by start time
+  async function findRanges(options = {}) {
+    return find(RangeModel, options);
+  }
+
+  // Rebalance costs summed over the records that carry one (Open-UP / Open-DOWN)
+  async function getCostSummary(filter = {}) {
+    const [costs] = await PositionModel.aggregate([
+      { $match: { ...toQuery(filter), cost: { $exists: true } } },
+      {
+        $group: {
+          _id: null,
+          rebalances: { $sum: 1 },
+          swap_notional: { $sum: '$cost.swap_notional' },
+          swap_fees: { $sum: '$cost.swap_fee' },
+          price_impact: { $sum: '$cost.price_impact' },
+          gas_cost: { $sum: '$cost.gas_cost' },
+          total: { $sum: '$cost.total' },
+          avg_per_rebalance: { $avg: '$cost.total' }
+        }
+      },
+      { $project: { _id: 0 } }
+    ]);
+    return costs || { ...EMPTY_COST_SUMMARY };
+  }
+
+  // Raw strategy metrics of a pool over from..to, for /api/analytics:
+  //   positions: rebalances and Price-UP/DOWN flags per side; a flag whose next record is
+  //              Monitoring was a false alarm (the engine saves one on the close the price
+  //              came back in range, without a rebalance)
+  //   ranges:    lifetimes (seconds) of the ranges that closed in the window
+  //   candles:   closes inside the range that was current at the candle, and the standard
+  //              deviation of log returns between consecutive candles (filled ones excluded)
+  async function getAnalytics({ pool, from, to }) {
+    const window = toQuery({ pool, from, to });
+    const countWhere = condition => ({ $sum: { $cond: [condition, 1, 0] } });
+    const isStatus = status => ({ $eq: ['$status', status] });
+    const isFalseAlarm = status => ({ $and: [isStatus(status), { $eq: ['$next_status', 'Monitoring'] }] });
+    const afterWindow = new Date(new Date(to).getTime() + 1); // Exclusive end of the inclusive window
+
+    const [[positions], [lifetimes], [inRange], [volatility]] = await Promise.all([
+      PositionModel.aggregate([
+        { $match: window },
+        {
+          $setWindowFields: {
+            partitionBy: '$pool',
+            sortBy: { timestamp: 1 },
+            output: { next_status: { $shift: { output: '$status', by: 1 } } }
+          }
+        },
+        {
+          $group: {
+            _id: null,
+            rebalances_up: countWhere(isStatus('Open-UP')),
+            rebalances_down: countWhere(isStatus('Open-DOWN')),
+            flags_up: countWhere(isStatus('Price-UP')),
+            flags_down: countWhere(isStatus('Price-DOWN')),
+            false_alarms_up: countWhere(isFalseAlarm('Price-UP')),
+            false_alarms_down: countWhere(isFalseAlarm('Price-DOWN'))
+          }
+        }
+      ]),
+      RangeModel.aggregate([
+        { $match: { ...(pool && { pool: pool.toLowerCase() }), end: { $ne: null, $gte: new Date(from), $lte: new Date(to) } } },
+        { $sort: { duration: 1 } },
+        { $group: { _id: null, durations: { $push: '$duration' }, mean: { $avg: '$duration' } } }
+      ]),
+      // Time in range, one range at a time: each range overlapping the window joins the
+      // candles between its start and end on the (pool, timestamp) index. Filled candles
+      // carry no price of their own and are left out.
+      RangeModel.aggregate([
+        {
+          $match: {
+            ...(pool && { pool: pool.toLowerCase() }),
+            timestamp: { $lte: new Date(to) },
+            $or: [{ end: null }, { end: { $gt: new Date(from) } }]
+          }
+        },
+        {
+          $lookup: {
+            from: CandleModel.collection.name,
+            let: {
+              pool: '$pool',
+              start: { $max: ['$timestamp', new Date(from)] },
+              end: { $min: [{ $ifNull: ['$end', afterWindow] }, afterWindow] },
+              lower: '$lower_range',
+              upper: '$upper_range'
+            },
+            pipeline: [
+              {
+                $match: {
+                  $expr: { $and: [{ $eq: ['$pool', '$$pool'] }, { $gte: ['$timestamp', '$$start'] }, { $lt: ['$timestamp', '$$end'] }] },
+                  missing: { $ne: true }
+                }
+              },
+              {
+                $group: {
+                  _id: null,
+                  candles: { $sum: 1 },
+                  in_range: countWhere({ $and: [{ $gte: ['$close', '$$lower'] }, { $lt: ['$close', '$$upper'] }] })
+                }
+              }
+            ],
+            as: 'counts'
+          }
+        },
+        { $unwind: '$counts' },
+        { $group: { _id: null, candles: { $sum: '$counts.candles' }, in_range: { $sum: '$counts.in_range' } } }
+      ]),
+      CandleModel.aggregate([
+        { $match: { ...window, missing: { $ne: true } } },
+        {
+          $setWindowFields: {
+            partitionBy: '$pool',
+            sortBy: { timestamp: 1 },
+            output: { previous_close: { $shift: { output: '$close', by: -1 } } }
+          }
+        },
+        { $match: { previous_close: { $gt: 0 } } },
+        { $group: { _id: null, returns: { $sum: 1 }, std_dev: { $stdDevSamp: { $ln: { $divide: ['$close', '$previous_close'] } } } } }
+      ])
+    ]);
+
+    return {
+      rebalances: { up: positions?.rebalances_up || 0, down: positions?.rebalances_down || 0 },
+      flags: {
+        up: positions?.flags_up || 0,
+        down: positions?.flags_down || 0,
+        false_alarms_up: positions?.false_alarms_up || 0,
+        false_alarms_down: positions?.false_alarms_down || 0
+      },
+      range_lifetime: {
+        closed: lifetimes ? lifetimes.durations.length : 0,
+        mean: lifetimes ? lifetimes.mean : null,
+        median: lifetimes ? median(lifetimes.durations) : null
+      },
+      candles: { count: inRange?.candles || 0, in_range: inRange?.in_range || 0 },
+      volatility: { returns: volatility?.returns || 0, std_dev: volatility?.std_dev ?? null }
+    };
+  }
+
+  // Latest depth snapshot, or the last one at/before `at`
+  async function findLiquiditySnapshot({ pool, at } = {}) {
+    return LiquiditySnapshot.findOne(toQuery({ pool, to: at })).sort({ timestamp: -1 }).lean();
+  }
+
+  // Delete the dataset's documents; resolves to the count deleted per collection
+  async function clear(collections = COLLECTIONS) {
+    const models = {
+      candles: CandleModel,
+      rollups: RollupModel,
+      positions: PositionModel,
+      ranges: RangeModel,
+      // Depth snapshots are never simulated, so the simulated dataset has none to clear
+      liquiditySnapshots: simulated ? null : LiquiditySnapshot,
+      engineStates: EngineStateModel
+    };
+    const deleted = {};
+    for (const name of collections) {
+      deleted[name] = models[name] ? (await models[name].deleteMany({})).deletedCount : 0;
+    }
+    return deleted;
+  }
+
+  return {
+    backend: 'mongodb',
+    simulated,
+    saveCandle,
+    rollupCandle,
+    rebuildRollups,
+    savePosition,
+    updatePosition,
+    saveRange,
+    upsertCandles,
+    saveLiquiditySnapshot,
+    saveEngineState,
+    loadEngineState,
+    loadLatestPosition,
+    findCandles,
+    countCandles,
+    findPositions,
+    countPositions,
+    findRanges,
+    getCostSummary,
+    getAnalytics,
+    findLiquiditySnapshot,
+    clear
+  };
+}
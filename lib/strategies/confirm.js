@@ -0,0 +1,23 @@
+// Confirmation rule shared by the built-in strategies: flag the first out-of-range
+// close as Price-UP/DOWN, clear it if the price returns, and rebalance once the price
+// has stayed out for more than `confirmCandles` closes (0 = on the first one).
+export function confirmAction(state, confirmCandles) {
+  const waiting = state.status === 'Price-UP' || state.status === 'Price-DOWN';
+
+  if (state.side === 'in') {
+    return { type: waiting ? 'clear' : 'hold' };
+  }
+  if (state.outOfRangeCloses > confirmCandles) {
+    return { type: 'rebalance', side: state.side };
+  }
+  return { type: waiting ? 'wait' : 'flag', side: state.side };
+}
+
+// Re-center after N confirming closes. The live default is N = 1 ("confirm on next candle").
+export function createConfirmStrategy({ confirmCandles = 1 } = {}) {
+  return {
+    name: 'confirm',
+    description: confirmCandles === 0 ? 'Immediate rebalance' : `Confirm on ${confirmCandles} candle close(s)`,
+    onCandleClose: state => confirmAction(state, confirmCandles)
+  };
+}
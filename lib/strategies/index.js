@@ -0,0 +1,35 @@
+import { createConfirmStrategy } from './confirm.js';
+import { createVolatilityStrategy } from './volatility.js';
+import { createTrailingStrategy } from './trailing.js';
+
+// A strategy decides what the engine does when a candle closes:
+//   onCandleClose(state, candle) → { type, side }
+// with type one of
+//   'hold'      - in range, keep monitoring
+//   'flag'      - price left the range: save Price-UP/DOWN (side 'up' or 'down')
+//   'wait'      - still out of range, not confirmed yet
+//   'clear'     - price came back after a flag
+//   'rebalance' - re-open the range around the current price (Open-UP/DOWN)
+// state: { pool, status, side ('in' | 'up' | 'down'), price, tick, ranges,
+//          outOfRangeCloses, candles, defaultRange }
+// An optional getRange(state) → { upperPercentage, lowerPercentage } sets the width of
+// every range the engine opens; without it the pool's range percentages are used.
+const STRATEGIES = {
+  'confirm-next': options => createConfirmStrategy({ ...options, confirmCandles: 1 }),
+  'immediate': options => createConfirmStrategy({ ...options, confirmCandles: 0 }),
+  'confirm': createConfirmStrategy,
+  'volatility': createVolatilityStrategy,
+  'trailing': createTrailingStrategy
+};
+
+export const DEFAULT_STRATEGY = 'confirm-next';
+
+// `config` is a strategy name or { name, ...options } (as in pools.json)
+export function createStrategy(config = DEFAULT_STRATEGY) {
+  const { name, ...options } = typeof config === 'string' ? { name: config } : config;
+  const factory = STRATEGIES[name];
+  if (!factory) {
+    throw new Error(`Unknown strategy "${name}" (expected one of: ${Object.keys(STRATEGIES).join(', ')})`);
+  }
+  return { ...factory(options), config: { name, ...options } };
+}
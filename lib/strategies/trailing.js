@@ -0,0 +1,29 @@
+import { confirmAction } from './confirm.js';
+
+// One-sided range that trails the price in one direction. 'below' sits under the price
+// (all quote token, buying base on dips) and follows the price up; 'above' sits over it
+// (all base token, selling into rallies) and follows the price down. Exits through the
+// far side are not chased - the position waits for the price to come back.
+// Tick spacing snaps the near edge outward, so the range may still straddle the price.
+export function createTrailingStrategy({ side = 'below', widthPercentage = 0.5, confirmCandles = 0 } = {}) {
+  if (!['below', 'above'].includes(side)) {
+    throw new Error(`Unknown trailing side "${side}" (expected below or above)`);
+  }
+  const trailDirection = side === 'below' ? 'up' : 'down';
+
+  return {
+    name: 'trailing',
+    description: `Trailing one-sided range ${widthPercentage}% ${side} the price`,
+    onCandleClose(state) {
+      const action = confirmAction(state, confirmCandles);
+      if (action.type === 'rebalance' && action.side !== trailDirection) {
+        const waiting = state.status === 'Price-UP' || state.status === 'Price-DOWN';
+        return { type: waiting ? 'wait' : 'flag', side: action.side };
+      }
+      return action;
+    },
+    getRange: () => (side === 'below'
+      ? { upperPercentage: 0, lowerPercentage: widthPercentage }
+      : { upperPercentage: widthPercentage, lowerPercentage: 0 })
+  };
+}
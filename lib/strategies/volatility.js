@@ -0,0 +1,70 @@
+import { confirmAction } from './confirm.js';
+
+// Standard deviation of close-to-close returns, in %
+function returnsStdev(candles) {
+  const returns = [];
+  for (let i = 1; i < candles.length; i++) {
+    returns.push((candles[i].close / candles[i - 1].close - 1) * 100);
+  }
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  return Math.sqrt(returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / returns.length);
+}
+
+// Average true range as % of the close
+function averageTrueRange(candles) {
+  let total = 0;
+  for (let i = 1; i < candles.length; i++) {
+    const { high, low, close } = candles[i];
+    const previousClose = candles[i - 1].close;
+    const trueRange = Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+    total += (trueRange / close) * 100;
+  }
+  return total / (candles.length - 1);
+}
+
+// Parkinson volatility from the high/low of each candle, in %
+function parkinson(candles) {
+  const squaredLogRanges = candles
+    .filter(candle => candle.low > 0)
+    .map(candle => Math.log(candle.high / candle.low) ** 2);
+  return Math.sqrt(squaredLogRanges.reduce((sum, x) => sum + x, 0) / (4 * Math.LN2 * squaredLogRanges.length)) * 100;
+}
+
+const MEASURES = {
+  stdev: returnsStdev,
+  atr: averageTrueRange,
+  parkinson
+};
+
+// Range width scaled to recent volatility: multiplier × per-candle volatility × sqrt(horizon),
+// clamped to [minPercentage, maxPercentage]. Uses the pool's width until `lookback` candles exist.
+export function createVolatilityStrategy({
+  measure = 'stdev', // 'stdev' of close returns, 'atr' or 'parkinson' (high/low)
+  lookback = 30, // Candles of history
+  horizon = 60, // Candles the range should typically survive
+  multiplier = 2,
+  minPercentage = 0.05,
+  maxPercentage = 2,
+  confirmCandles = 1
+} = {}) {
+  if (!MEASURES[measure]) {
+    throw new Error(`Unknown volatility measure "${measure}" (expected ${Object.keys(MEASURES).join(', ')})`);
+  }
+
+  return {
+    name: 'volatility',
+    description: `Volatility-scaled width (${measure} × ${multiplier}, ${lookback} candles)`,
+    onCandleClose: state => confirmAction(state, confirmCandles),
+    getRange(state) {
+      // Filled (missing) candles are flat and would understate volatility
+      const recent = state.candles.filter(candle => !candle.missing).slice(-(lookback + 1));
+      if (recent.length <= lookback) {
+        return state.defaultRange;
+      }
+
+      const volatility = MEASURES[measure](recent);
+      const width = Math.min(maxPercentage, Math.max(minPercentage, multiplier * volatility * Math.sqrt(horizon)));
+      return { upperPercentage: width, lowerPercentage: width };
+    }
+  };
+}
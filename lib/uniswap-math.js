@@ -0,0 +1,289 @@
+// Exact Uniswap V3 math (TickMath / SqrtPriceMath / LiquidityAmounts ports) using BigInt.
+// Prices are quote per base for a resolved pool (see pools.js); every conversion to a
+// JS Number happens last, from an exact decimal string.
+
+export const Q96 = 2n ** 96n;
+export const Q192 = Q96 * Q96;
+
+export const MIN_TICK = -887272;
+export const MAX_TICK = 887272;
+export const MIN_SQRT_RATIO = 4295128739n;
+export const MAX_SQRT_RATIO = 1461446703485210103287273052203988822378723970342n;
+
+const MAX_UINT256 = 2n ** 256n - 1n;
+const PRICE_PRECISION = 18; // Decimal places kept in price strings
+
+// TickMath.getSqrtRatioAtTick multipliers for each bit of |tick|
+const TICK_RATIOS = [
+  [0x2, 0xfff97272373d413259a46990580e213an],
+  [0x4, 0xfff2e50f5f656932ef12357cf3c7fdccn],
+  [0x8, 0xffe5caca7e10e4e61c3624eaa0941cd0n],
+  [0x10, 0xffcb9843d60f6159c9db58835c926644n],
+  [0x20, 0xff973b41fa98c081472e6896dfb254c0n],
+  [0x40, 0xff2ea16466c96a3843ec78b326b52861n],
+  [0x80, 0xfe5dee046a99a2a811c461f1969c3053n],
+  [0x100, 0xfcbe86c7900a88aedcffc83b479aa3a4n],
+  [0x200, 0xf987a7253ac413176f2b074cf7815e54n],
+  [0x400, 0xf3392b0822b70005940c7a398e4b70f3n],
+  [0x800, 0xe7159475a2c29b7443b29c7fa6e889d9n],
+  [0x1000, 0xd097f3bdfd2022b8845ad8f792aa5825n],
+  [0x2000, 0xa9f746462d870fdf8a65dc1f90e061e5n],
+  [0x4000, 0x70d869a156d2a1b890bb3df62baf32f7n],
+  [0x8000, 0x31be135f97d08fd981231505542fcfa6n],
+  [0x10000, 0x9aa508b5b7a84e1c677de54f3e99bc9n],
+  [0x20000, 0x5d6af8dedb81196699c329225ee604n],
+  [0x40000, 0x2216e584f5fa1ea926041bedfe98n],
+  [0x80000, 0x48a170391f7dc42444e8fa2n]
+];
+
+// sqrt(1.0001^tick) * 2^96, rounded up like the on-chain TickMath
+export function getSqrtRatioAtTick(tick) {
+  if (!Number.isInteger(tick) || tick < MIN_TICK || tick > MAX_TICK) {
+    throw new RangeError(`Tick out of range: ${tick}`);
+  }
+
+  const absTick = Math.abs(tick);
+  let ratio = (absTick & 0x1) !== 0
+    ? 0xfffcb933bd6fad37aa2d162d1a594001n
+    : 0x100000000000000000000000000000000n;
+
+  for (const [bit, multiplier] of TICK_RATIOS) {
+    if ((absTick & bit) !== 0) {
+      ratio = (ratio * multiplier) >> 128n;
+    }
+  }
+
+  if (tick > 0) {
+    ratio = MAX_UINT256 / ratio;
+  }
+
+  // Q128.128 -> Q64.96, rounding up
+  return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+// Greatest tick whose sqrt ratio is <= sqrtPriceX96 (same result as TickMath.getTickAtSqrtRatio)
+export function getTickAtSqrtRatio(sqrtPriceX96) {
+  const sqrtPrice = BigInt(sqrtPriceX96);
+  if (sqrtPrice < MIN_SQRT_RATIO || sqrtPrice >= MAX_SQRT_RATIO) {
+    throw new RangeError(`sqrtPriceX96 out of range: ${sqrtPrice}`);
+  }
+
+  let low = MIN_TICK;
+  let high = MAX_TICK;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (getSqrtRatioAtTick(mid) <= sqrtPrice) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+// Integer square root (floor)
+function sqrtBigInt(value) {
+  if (value < 0n) {
+    throw new RangeError('Square root of negative value');
+  }
+  if (value < 2n) {
+    return value;
+  }
+
+  let x = value;
+  let y = (x + 1n) / 2n;
+  while (y < x) {
+    x = y;
+    y = (x + value / x) / 2n;
+  }
+  return x;
+}
+
+// Render a value scaled by 10^precision as a decimal string
+function formatScaled(scaled, precision) {
+  const negative = scaled < 0n;
+  const digits = (negative ? -scaled : scaled).toString().padStart(precision + 1, '0');
+  const integer = digits.slice(0, digits.length - precision);
+  const fraction = digits.slice(digits.length - precision).replace(/0+$/, '');
+  return `${negative ? '-' : ''}${integer}${fraction ? '.' + fraction : ''}`;
+}
+
+// Parse a decimal number/string (exponent notation included, e.g. String(1e21) or 1e-7)
+// into an exact fraction [numerator, denominator]
+function parseDecimal(value) {
+  const text = String(value).trim();
+  const match = /^(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text);
+  if (!match || !/\d/.test(match[1] + (match[2] || ''))) {
+    throw new TypeError(`Not a positive decimal number: ${value}`);
+  }
+  const fraction = match[2] || '';
+  const exponent = Number(match[3] || 0) - fraction.length;
+  const digits = BigInt(match[1] + fraction);
+  return exponent >= 0
+    ? [digits * 10n ** BigInt(exponent), 1n]
+    : [digits, 10n ** BigInt(-exponent)];
+}
+
+// Raw token1/token0 ratio for a quote-per-base price, as [numerator, denominator]
+function priceToRawRatio(price, pool) {
+  const [priceNum, priceDen] = parseDecimal(price);
+  const scale0 = 10n ** BigInt(pool.token0.decimals);
+  const scale1 = 10n ** BigInt(pool.token1.decimals);
+
+  // Base token0: token1 per token0 = price. Base token1: token1 per token0 = 1 / price.
+  return pool.baseIsToken0
+    ? [priceNum * scale1, priceDen * scale0]
+    : [priceDen * scale1, priceNum * scale0];
+}
+
+// Exact quote-per-base price as a decimal string
+export function sqrtPriceX96ToPriceString(sqrtPriceX96, pool, precision = PRICE_PRECISION) {
+  const sqrtPrice = BigInt(sqrtPriceX96);
+  const scale0 = 10n ** BigInt(pool.token0.decimals);
+  const scale1 = 10n ** BigInt(pool.token1.decimals);
+
+  // Human token1 per token0 = sqrtPrice^2 * 10^decimals0 / (2^192 * 10^decimals1)
+  let numerator = sqrtPrice * sqrtPrice * scale0;
+  let denominator = Q192 * scale1;
+  if (!pool.baseIsToken0) {
+    [numerator, denominator] = [denominator, numerator];
+  }
+
+  return formatScaled((numerator * 10n ** BigInt(precision)) / denominator, precision);
+}
+
+// Quote-per-base price as a Number (exact up to double precision)
+export function sqrtPriceX96ToPrice(sqrtPriceX96, pool) {
+  return Number(sqrtPriceX96ToPriceString(sqrtPriceX96, pool));
+}
+
+// sqrtPriceX96 for a quote-per-base price (rounded down)
+export function priceToSqrtPriceX96(price, pool) {
+  const [numerator, denominator] = priceToRawRatio(price, pool);
+  return sqrtBigInt((numerator * Q192) / denominator);
+}
+
+export function tickToPrice(tick, pool) {
+  return sqrtPriceX96ToPrice(getSqrtRatioAtTick(tick), pool);
+}
+
+export function priceToTick(price, pool) {
+  return getTickAtSqrtRatio(priceToSqrtPriceX96(price, pool));
+}
+
+// Tick bounds +upperPercentage/-lowerPercentage around a price, widened to the tick spacing.
+// A lower band of 100% or more reaches price zero, the end of the tick range on that side.
+export function getPercentageTickRange(price, upperPercentage, lowerPercentage, pool) {
+  const lowerPrice = price * (1 - lowerPercentage / 100);
+  const zeroPriceTick = pool.baseIsToken0 ? MIN_TICK : MAX_TICK;
+  return snapTickRange(
+    priceToTick(price * (1 + upperPercentage / 100), pool),
+    lowerPrice > 0 ? priceToTick(lowerPrice, pool) : zeroPriceTick,
+    pool.tickSpacing
+  );
+}
+
+// Nearest tick that is a multiple of tickSpacing, kept inside the usable tick range
+export function nearestUsableTick(tick, tickSpacing) {
+  const rounded = Math.round(tick / tickSpacing) * tickSpacing;
+  if (rounded < MIN_TICK) return rounded + tickSpacing;
+  if (rounded > MAX_TICK) return rounded - tickSpacing;
+  return rounded;
+}
+
+// Widen [tickLower, tickUpper] outward to the pool's tick spacing (at least one spacing wide)
+export function snapTickRange(tickLower, tickUpper, tickSpacing) {
+  const lower = Math.floor(Math.min(tickLower, tickUpper) / tickSpacing) * tickSpacing;
+  let upper = Math.ceil(Math.max(tickLower, tickUpper) / tickSpacing) * tickSpacing;
+  if (upper === lower) {
+    upper += tickSpacing;
+  }
+  return {
+    tickLower: Math.max(lower, nearestUsableTick(MIN_TICK, tickSpacing)),
+    tickUpper: Math.min(upper, nearestUsableTick(MAX_TICK, tickSpacing))
+  };
+}
+
+function sortRatios(sqrtRatioA, sqrtRatioB) {
+  const a = BigInt(sqrtRatioA);
+  const b = BigInt(sqrtRatioB);
+  return a < b ? [a, b] : [b, a];
+}
+
+function divRoundingUp(numerator, denominator) {
+  const quotient = numerator / denominator;
+  return numerator % denominator === 0n ? quotient : quotient + 1n;
+}
+
+// SqrtPriceMath.getAmount0Delta
+export function getAmount0Delta(sqrtRatioA, sqrtRatioB, liquidity, roundUp = false) {
+  const [lower, upper] = sortRatios(sqrtRatioA, sqrtRatioB);
+  const numerator1 = BigInt(liquidity) << 96n;
+  const numerator2 = upper - lower;
+
+  return roundUp
+    ? divRoundingUp(divRoundingUp(numerator1 * numerator2, upper), lower)
+    : (numerator1 * numerator2) / upper / lower;
+}
+
+// SqrtPriceMath.getAmount1Delta
+export function getAmount1Delta(sqrtRatioA, sqrtRatioB, liquidity, roundUp = false) {
+  const [lower, upper] = sortRatios(sqrtRatioA, sqrtRatioB);
+  const product = BigInt(liquidity) * (upper - lower);
+
+  return roundUp ? divRoundingUp(product, Q96) : product / Q96;
+}
+
+// SqrtPriceMath.getNextSqrtPriceFromInput: price after swapping amountIn (after fee) within one liquidity range
+export function getNextSqrtPriceFromInput(sqrtPriceX96, liquidity, amountIn, zeroForOne) {
+  const sqrtPrice = BigInt(sqrtPriceX96);
+  const liq = BigInt(liquidity);
+  const amount = BigInt(amountIn);
+  if (amount === 0n) {
+    return sqrtPrice;
+  }
+
+  if (zeroForOne) {
+    // Token0 in pushes the price down, rounding up
+    const numerator1 = liq << 96n;
+    return divRoundingUp(numerator1 * sqrtPrice, numerator1 + amount * sqrtPrice);
+  }
+  // Token1 in pushes the price up, rounding down
+  return sqrtPrice + (amount << 96n) / liq;
+}
+
+// LiquidityAmounts.getAmountsForLiquidity: raw token0/token1 held by `liquidity` between two sqrt ratios
+export function getAmountsForLiquidity(sqrtPriceX96, sqrtRatioA, sqrtRatioB, liquidity) {
+  const sqrtPrice = BigInt(sqrtPriceX96);
+  const [lower, upper] = sortRatios(sqrtRatioA, sqrtRatioB);
+
+  if (sqrtPrice <= lower) {
+    return { amount0: getAmount0Delta(lower, upper, liquidity), amount1: 0n };
+  }
+  if (sqrtPrice < upper) {
+    return {
+      amount0: getAmount0Delta(sqrtPrice, upper, liquidity),
+      amount1: getAmount1Delta(lower, sqrtPrice, liquidity)
+    };
+  }
+  return { amount0: 0n, amount1: getAmount1Delta(lower, upper, liquidity) };
+}
+
+// LiquidityAmounts.getLiquidityForAmounts: max liquidity mintable from raw token0/token1 amounts
+export function getLiquidityForAmounts(sqrtPriceX96, sqrtRatioA, sqrtRatioB, amount0, amount1) {
+  const sqrtPrice = BigInt(sqrtPriceX96);
+  const [lower, upper] = sortRatios(sqrtRatioA, sqrtRatioB);
+
+  const liquidityForAmount0 = (a, b) => (BigInt(amount0) * ((a * b) / Q96)) / (b - a);
+  const liquidityForAmount1 = (a, b) => (BigInt(amount1) * Q96) / (b - a);
+
+  if (sqrtPrice <= lower) {
+    return liquidityForAmount0(lower, upper);
+  }
+  if (sqrtPrice < upper) {
+    const liquidity0 = liquidityForAmount0(sqrtPrice, upper);
+    const liquidity1 = liquidityForAmount1(lower, sqrtPrice);
+    return liquidity0 < liquidity1 ? liquidity0 : liquidity1;
+  }
+  return liquidityForAmount1(lower, upper);
+}
@@ -1,8 +1,12 @@
 import fs from 'fs';
 import readline from 'readline';
-import { connectDB } from './db.js';
+import { connectMongoStorage, closeStorage } from './lib/stores/index.js';
 import Candle from './models/Candle.js';
 import Position from './models/Position.js';
+import { loadPoolRegistry } from './lib/pools.js';
+
+// CSV exports predate multi-pool support, so every row belongs to the first registered pool
+const [CSV_POOL] = loadPoolRegistry();
 
 async function migrateCandlesCSV() {
   console.log('📊 Starting candles.csv migration...');
@@ -38,6 +42,7 @@ async function migrateCandlesCSV() {
     const [timestamp, open, high, low, close, liquidity, weth_amount, usdc_amount] = parts;
 
     batch.push({
+      pool: CSV_POOL.address,
       timestamp: new Date(timestamp),
       open: parseFloat(open),
       high: parseFloat(high),
@@ -149,6 +154,7 @@ async function migratePositionsCSV() {
     const [timestamp, status, price, upper_range, lower_range, weth_pct, usdc_pct, rebalance_type] = parts;
 
     batch.push({
+      pool: CSV_POOL.address,
       timestamp: new Date(timestamp),
       status: status,
       price: parseFloat(price),
@@ -249,7 +255,7 @@ async function main() {
 
   try {
     // Connect to MongoDB
-    await connectDB();
+    await connectMongoStorage();
 
     // Check for CSV files
     const candlesCsvExists = fs.existsSync('candles.csv');
@@ -287,6 +293,7 @@ async function main() {
       console.log('   Start your app with: npm start\n');
     }
 
+    await closeStorage();
     process.exit(0);
   } catch (error) {
     console.error('\n' + '═'.repeat(70));
@@ -1,6 +1,18 @@
 import mongoose from 'mongoose';
 
 const candleSchema = new mongoose.Schema({
+  pool: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  // Data source that produced the record (see lib/sources)
+  source: {
+    type: String,
+    required: true,
+    enum: ['onchain', 'shadow-api', 'backfill', 'replay', 'simulation'],
+    default: 'onchain'
+  },
   timestamp: {
     type: Date,
     required: true
@@ -25,25 +37,71 @@ const candleSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Base token amount (WETH for the WETH/USDC pool)
   weth_amount: {
     type: Number,
     required: true
   },
+  // Quote token amount (USDC for the WETH/USDC pool)
   usdc_amount: {
     type: Number,
     required: true
+  },
+  // Trading activity from the pool's Swap events in the candle window
+  swap_count: {
+    type: Number,
+    default: 0
+  },
+  volume_token0: {
+    type: Number,
+    default: 0
+  },
+  volume_token1: {
+    type: Number,
+    default: 0
+  },
+  // Quote-side volume (USD for USDC-quoted pools) and the LP fees it paid at the pool's fee tier
+  volume_usd: {
+    type: Number,
+    default: 0
+  },
+  fees_usd: {
+    type: Number,
+    default: 0
+  },
+  // Ticks the candle was built from; 0 for filled candles
+  sample_count: {
+    type: Number,
+    default: 0
+  },
+  // Carry-forward candle for an interval without any data (e.g. failed RPC calls)
+  missing: {
+    type: Boolean,
+    default: false
+  },
+  // Block the closing state was read at and its chain timestamp (null for sources without blocks)
+  block_number: {
+    type: Number,
+    default: null
+  },
+  block_timestamp: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true,
   collection: 'candles'
 });
 
-// Create unique index on timestamp to prevent duplicates and optimize queries
-candleSchema.index({ timestamp: -1 }, { unique: true });
+// Create unique index on pool + timestamp to prevent duplicates and optimize queries
+candleSchema.index({ pool: 1, timestamp: -1 }, { unique: true });
 
 // Create indexes for common query patterns
 candleSchema.index({ createdAt: -1 });
 
 const Candle = mongoose.model('Candle', candleSchema);
 
+// Replayed and simulated candles live in their own collection so they never mix with production history
+export const SimulatedCandle = mongoose.model('SimulatedCandle', candleSchema, 'sim_candles');
+
 export default Candle;
@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+// Higher-timeframe candles (1m, 5m, 15m, 1h, 1d) rolled up from the base candles,
+// see TIMEFRAMES in lib/candles.js
+const candleRollupSchema = new mongoose.Schema({
+  pool: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  interval: {
+    type: String,
+    required: true,
+    enum: ['1m', '5m', '15m', '1h', '1d']
+  },
+  // Source of the latest base candle folded in
+  source: {
+    type: String
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  open: {
+    type: Number,
+    required: true
+  },
+  high: {
+    type: Number,
+    required: true
+  },
+  low: {
+    type: Number,
+    required: true
+  },
+  close: {
+    type: Number,
+    required: true
+  },
+  liquidity: {
+    type: String
+  },
+  weth_amount: {
+    type: Number
+  },
+  usdc_amount: {
+    type: Number
+  },
+  swap_count: {
+    type: Number,
+    default: 0
+  },
+  volume_token0: {
+    type: Number,
+    default: 0
+  },
+  volume_token1: {
+    type: Number,
+    default: 0
+  },
+  volume_usd: {
+    type: Number,
+    default: 0
+  },
+  fees_usd: {
+    type: Number,
+    default: 0
+  },
+  // Base candles (and their ticks) that went into this one
+  candle_count: {
+    type: Number,
+    default: 0
+  },
+  sample_count: {
+    type: Number,
+    default: 0
+  },
+  // Every base candle in the bucket was a filled one
+  missing: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  collection: 'candle_rollups'
+});
+
+candleRollupSchema.index({ pool: 1, interval: 1, timestamp: -1 }, { unique: true });
+
+const CandleRollup = mongoose.model('CandleRollup', candleRollupSchema);
+
+// Rollups of simulated/replayed candles
+export const SimulatedCandleRollup = mongoose.model('SimulatedCandleRollup', candleRollupSchema, 'sim_candle_rollups');
+
+export default CandleRollup;
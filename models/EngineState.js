@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// Checkpoint of one pool's engine (see lib/engine.js), overwritten on every candle close
+// so a restarted executor resumes the same range instead of opening a new one
+const engineStateSchema = new mongoose.Schema({
+  pool: {
+    type: String,
+    required: true,
+    lowercase: true,
+    unique: true
+  },
+  source: {
+    type: String
+  },
+  status: {
+    type: String
+  },
+  // Current range: tickLower/tickUpper, their prices and the widths it was opened with
+  ranges: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  out_of_range_closes: {
+    type: Number,
+    default: 0
+  },
+  out_of_range_detected_at: {
+    type: Date
+  },
+  // Candle in progress and the recent buffers the strategy and dashboard read
+  current_candle: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  candles: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  tick_data: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  stats: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Virtual LP internals (see lib/lp-position.js getState)
+  lp: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  last_tick: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Timestamp of the last tick the engine saw, used to detect downtime on restart
+  last_tick_at: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  collection: 'engine_states',
+  minimize: false
+});
+
+const EngineState = mongoose.model('EngineState', engineStateSchema);
+
+// Simulated runs checkpoint separately, like their candles and positions
+export const SimulatedEngineState = mongoose.model('SimulatedEngineState', engineStateSchema, 'sim_engine_states');
+
+export default EngineState;
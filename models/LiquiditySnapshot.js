@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// Active liquidity between two initialized ticks, and what it holds at the snapshot price
+const segmentSchema = new mongoose.Schema({
+  tick_lower: Number,
+  tick_upper: Number,
+  price_lower: Number,
+  price_upper: Number,
+  liquidity: String,
+  base_amount: Number,
+  quote_amount: Number,
+  value_usd: Number,
+  active: Boolean // Segment holding the current tick
+}, { _id: false });
+
+// Liquidity distribution around the current tick, read from the pool's tickBitmap/ticks
+// (see lib/liquidity-depth.js)
+const liquiditySnapshotSchema = new mongoose.Schema({
+  pool: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  block_number: {
+    type: Number
+  },
+  price: {
+    type: Number,
+    required: true
+  },
+  tick: {
+    type: Number,
+    required: true
+  },
+  // Active liquidity at the current tick
+  liquidity: {
+    type: String,
+    required: true
+  },
+  tick_spacing: {
+    type: Number
+  },
+  // Snapshot covers ±range_percentage around the price
+  range_percentage: {
+    type: Number
+  },
+  // Initialized ticks in range with their liquidityNet
+  ticks: {
+    type: [{ tick: Number, liquidity_net: String, _id: false }],
+    default: []
+  },
+  distribution: {
+    type: [segmentSchema],
+    default: []
+  }
+}, {
+  timestamps: true,
+  collection: 'liquidity_snapshots'
+});
+
+liquiditySnapshotSchema.index({ pool: 1, timestamp: -1 });
+
+const LiquiditySnapshot = mongoose.model('LiquiditySnapshot', liquiditySnapshotSchema);
+
+export default LiquiditySnapshot;
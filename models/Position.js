@@ -1,6 +1,51 @@
 import mongoose from 'mongoose';
 
+// Virtual LP position at the time of the record (see lib/lp-position.js); values in quote token
+const lpSchema = new mongoose.Schema({
+  capital: Number,
+  tick_lower: Number,
+  tick_upper: Number,
+  liquidity: String,
+  minted_at: Date,
+  base_amount: Number,
+  quote_amount: Number,
+  value: Number,
+  fees_earned: Number, // Fees of the current range
+  total_fees: Number,
+  total_costs: Number, // Rebalance swap fees, price impact and gas so far
+  impermanent_loss: Number, // Current range vs holding what was minted into it
+  realized_pnl: Number,
+  unrealized_pnl: Number,
+  total_pnl: Number,
+  hodl_value: Number, // First mint's tokens held since the start
+  pnl_vs_hodl: Number,
+  rebalances: Number
+}, { _id: false });
+
+// What a rebalance cost (see lib/costs.js); values in quote token
+const costSchema = new mongoose.Schema({
+  swap_side: String, // 'sell-base', 'buy-base' or 'none'
+  swap_amount: Number, // Input amount of the re-ratio swap (base when selling base, else quote)
+  swap_notional: Number,
+  swap_fee: Number,
+  price_impact: Number,
+  gas_cost: Number,
+  total: Number
+}, { _id: false });
+
 const positionSchema = new mongoose.Schema({
+  pool: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  // Data source that produced the record (see lib/sources)
+  source: {
+    type: String,
+    required: true,
+    enum: ['onchain', 'shadow-api', 'backfill', 'replay', 'simulation'],
+    default: 'onchain'
+  },
   timestamp: {
     type: Date,
     required: true
@@ -18,6 +63,23 @@ const positionSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Tick bounds the range was snapped to (multiples of the pool's tickSpacing)
+  tick_lower: {
+    type: Number
+  },
+  tick_upper: {
+    type: Number
+  },
+  // Bands requested above/below the open (strategy or pool setting) and the width after tick snapping, in %
+  range_upper_pct: {
+    type: Number
+  },
+  range_lower_pct: {
+    type: Number
+  },
+  range_width_pct: {
+    type: Number
+  },
   open: {
     type: Number,
     required: true
@@ -34,10 +96,12 @@ const positionSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Base token share of pool value (WETH for the WETH/USDC pool)
   weth_pct: {
     type: Number,
     required: true
   },
+  // Quote token share of pool value (USDC for the WETH/USDC pool)
   usdc_pct: {
     type: Number,
     required: true
@@ -45,6 +109,15 @@ const positionSchema = new mongoose.Schema({
   rebalance_type: {
     type: String,
     default: 'N/A'
+  },
+  lp: {
+    type: lpSchema,
+    default: undefined
+  },
+  // Only set on Open-UP / Open-DOWN
+  cost: {
+    type: costSchema,
+    default: undefined
   }
 }, {
   timestamps: true,
@@ -53,9 +126,13 @@ const positionSchema = new mongoose.Schema({
 
 // Create indexes for efficient queries
 positionSchema.index({ timestamp: -1 });
+positionSchema.index({ pool: 1, timestamp: -1 });
 positionSchema.index({ createdAt: -1 });
 positionSchema.index({ status: 1, timestamp: -1 });
 
 const Position = mongoose.model('Position', positionSchema);
 
+// Replayed and simulated positions live in their own collection so they never mix with production history
+export const SimulatedPosition = mongoose.model('SimulatedPosition', positionSchema, 'sim_positions');
+
 export default Position;
@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+// One LP range from the moment it was opened until the rebalance that replaced it
+// (see lib/engine.js). Positions record the price against a range candle by candle;
+// this is the range itself.
+const rangeSchema = new mongoose.Schema({
+  pool: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  source: {
+    type: String
+  },
+  // Start: when the range was opened
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  // When the range was closed; null while it is the current range
+  end: {
+    type: Date,
+    default: null
+  },
+  // Null on ranges rebuilt from positions that only stored prices
+  tick_lower: {
+    type: Number
+  },
+  tick_upper: {
+    type: Number
+  },
+  lower_range: {
+    type: Number,
+    required: true
+  },
+  upper_range: {
+    type: Number,
+    required: true
+  },
+  range_upper_pct: {
+    type: Number
+  },
+  range_lower_pct: {
+    type: Number
+  },
+  range_width_pct: {
+    type: Number
+  },
+  open_price: {
+    type: Number
+  },
+  // What opened it: an Open-UP/Open-DOWN rebalance, the engine's first tick (Initial), or a
+  // restart on a range from before ranges were recorded (Resumed)
+  opened_by: {
+    type: String,
+    required: true,
+    enum: ['Initial', 'Open-UP', 'Open-DOWN', 'Resumed']
+  },
+  // Cost of the opening rebalance (see lib/costs.js)
+  open_cost: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Side the price left through for the rebalance that closed it; null while open,
+  // or when the range was abandoned without a rebalance
+  exit: {
+    type: String,
+    enum: ['up', 'down', null],
+    default: null
+  },
+  close_price: {
+    type: Number,
+    default: null
+  },
+  // Seconds from timestamp to end
+  duration: {
+    type: Number,
+    default: null
+  },
+  // Price-UP/Price-DOWN records while this range was current, and how many of them the
+  // price came back in range from
+  flags: {
+    type: Number,
+    default: 0
+  },
+  false_alarms: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  collection: 'ranges'
+});
+
+rangeSchema.index({ pool: 1, timestamp: -1 }, { unique: true });
+
+const Range = mongoose.model('Range', rangeSchema);
+
+// Ranges of simulated/replayed runs
+export const SimulatedRange = mongoose.model('SimulatedRange', rangeSchema, 'sim_ranges');
+
+export default Range;
@@ -0,0 +1,142 @@
+import fs from 'fs';
+import path from 'path';
+import { loadPoolRegistry, resolvePool } from './lib/pools.js';
+import { createReplaySource } from './lib/sources/replay.js';
+import { loadCandles, candlesToTicks } from './lib/backtest.js';
+import { buildGrid, sampleRandom, rankResults, toCsv, runSweep } from './lib/optimizer.js';
+import { parseArgs } from './lib/args.js';
+import { createRpcFromConfig } from './lib/rpc.js';
+import { getConfig } from './lib/config.js';
+import { createStore, connectStorage, closeStorage } from './lib/stores/index.js';
+
+// Backtests many strategy configurations over stored history in worker threads and
+// writes a ranked comparison to reports/ (JSON + CSV):
+//   node optimize.js --hours 24
+//   node optimize.js --upper 0.1,0.2,0.5 --lower 0.1,0.3 --intervals 10000,60000 --confirms 0,1,2
+//   node optimize.js --mode random --samples 200 --sort rebalances --workers 4
+
+const REPORTS_DIR = 'reports';
+
+const DEFAULT_RANGES = '0.05,0.1,0.2,0.5,1';
+const DEFAULT_INTERVALS = '10000,30000,60000';
+const DEFAULT_CONFIRMS = '0,1,2,3';
+
+function parseList(value) {
+  return value.split(',').map(item => parseFloat(item.trim())).filter(item => !Number.isNaN(item));
+}
+
+async function optimize() {
+  const args = parseArgs(process.argv.slice(2));
+
+  console.log('═'.repeat(70));
+  console.log('🔬 STRATEGY PARAMETER SWEEP');
+  console.log('═'.repeat(70));
+
+  try {
+    const settings = getConfig();
+    const entries = loadPoolRegistry(settings.poolsFile);
+    const entry = args.pool
+      ? entries.find(e => e.address === args.pool.toLowerCase())
+      : entries[0];
+    if (!entry) {
+      throw new Error(`Pool ${args.pool} is not in ${settings.poolsFile}`);
+    }
+    const pool = await resolvePool(entry, createRpcFromConfig(settings)?.provider ?? null);
+
+    // Search space (asymmetric bands come from combining different upper/lower widths)
+    const ranges = args.ranges || DEFAULT_RANGES;
+    const space = {
+      upper: parseList(args.upper || ranges),
+      lower: parseList(args.lower || ranges),
+      intervals: parseList(args.intervals || DEFAULT_INTERVALS),
+      confirms: parseList(args.confirms || DEFAULT_CONFIRMS)
+    };
+    const mode = args.mode || 'grid';
+    const configs = mode === 'random'
+      ? sampleRandom(space, parseInt(args.samples || '100'))
+      : buildGrid(space);
+
+    let ticks = [];
+    if (args.file) {
+      const source = createReplaySource({ file: args.file, pool });
+      let tick;
+      while ((tick = await source.fetch())) {
+        ticks.push(tick);
+      }
+    } else {
+      const to = args.to ? new Date(args.to) : new Date();
+      const from = args.from
+        ? new Date(args.from)
+        : new Date(to.getTime() - parseFloat(args.hours || '24') * 60 * 60 * 1000);
+
+      await connectStorage();
+      const candles = await loadCandles(createStore(), pool.address, from, to);
+      console.log(`📥 Loaded ${candles.length} candles (${from.toISOString()} → ${to.toISOString()})`);
+      ticks = candlesToTicks(candles);
+    }
+
+    if (ticks.length === 0) {
+      console.log('\nℹ️  No history in this range, nothing to optimize');
+      return;
+    }
+
+    const workers = args.workers ? parseInt(args.workers) : undefined;
+    console.log(`Pool: ${pool.name} (${pool.address})`);
+    console.log(`Mode: ${mode} | Configurations: ${configs.length}\n`);
+
+    const startTime = Date.now();
+    let done = 0;
+    const results = await runSweep({
+      pool,
+      ticks,
+      configs,
+      workers,
+      lpCapital: args.capital ? parseFloat(args.capital) : 10000,
+      onResult: () => {
+        done++;
+        if (done % 10 === 0 || done === configs.length) {
+          console.log(`  ⚙️  ${done}/${configs.length} configurations tested`);
+        }
+      }
+    });
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+    const sortBy = args.sort || 'pnl';
+    rankResults(results, sortBy);
+
+    // Write the report
+    fs.mkdirSync(REPORTS_DIR, { recursive: true });
+    const name = `optimize-${pool.address.slice(0, 10)}-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    const jsonFile = path.join(REPORTS_DIR, `${name}.json`);
+    const csvFile = path.join(REPORTS_DIR, `${name}.csv`);
+    fs.writeFileSync(jsonFile, JSON.stringify({
+      pool: pool.address,
+      mode,
+      space,
+      sortBy,
+      ticks: ticks.length,
+      generatedAt: new Date(),
+      results
+    }, null, 2));
+    fs.writeFileSync(csvFile, toCsv(results));
+
+    console.log('\n' + '═'.repeat(70));
+    console.log(`🏆 TOP CONFIGURATIONS (by ${sortBy})`);
+    console.log('═'.repeat(70));
+    results.slice(0, 10).forEach(({ config, summary }, i) => {
+      console.log(`  ${String(i + 1).padStart(2)}. +${config.rangeUpperPercentage}% / -${config.rangeLowerPercentage}% | ${config.candleInterval / 1000}s | confirm ${config.confirmCandles} → PnL $${(summary.totalPnl ?? 0).toFixed(2)} | ${summary.rebalances} rebalances | ${(summary.timeInRangePct ?? 0).toFixed(1)}% in range`);
+    });
+    console.log(`\n📝 Report: ${jsonFile}`);
+    console.log(`📝 CSV: ${csvFile}`);
+    console.log(`⏱️  Duration: ${duration} seconds\n`);
+  } catch (error) {
+    console.error('\n❌ Optimization failed:', error.message);
+    process.exit(1);
+  } finally {
+    await closeStorage();
+  }
+
+  process.exit(0);
+}
+
+optimize();
@@ -0,0 +1,124 @@
+import { loadPoolRegistry } from './lib/pools.js';
+import { parseArgs } from './lib/args.js';
+import { createStore, connectStorage, closeStorage } from './lib/stores/index.js';
+import { isRebalanceRecord, isRestartRecord } from './lib/ranges.js';
+
+// Rebuilds the Range records (models/Range.js) from the stored positions. The engine keeps
+// them current while running; this fills them in for history stored before that:
+//   node rebuild-ranges.js
+//   node rebuild-ranges.js --simulated
+// Open-UP/Open-DOWN records start a new range. Records whose tick bounds change without one
+// (an engine restart that opened a fresh range) end the previous range without an exit; the
+// price bounds of legacy records without ticks drifted on every candle and start nothing.
+// Same boundaries as fix-historical-positions.js, so the two can run in either order.
+
+const POSITION_BATCH_SIZE = 5000;
+
+function openRange(position, openedBy) {
+  return {
+    pool: position.pool,
+    source: position.source,
+    timestamp: new Date(position.timestamp),
+    end: null,
+    tick_lower: position.tick_lower ?? null,
+    tick_upper: position.tick_upper ?? null,
+    lower_range: position.lower_range,
+    upper_range: position.upper_range,
+    range_upper_pct: position.range_upper_pct ?? null,
+    range_lower_pct: position.range_lower_pct ?? null,
+    range_width_pct: position.range_width_pct ?? null,
+    open_price: position.close,
+    opened_by: openedBy,
+    open_cost: position.cost || null,
+    exit: null,
+    close_price: null,
+    duration: null,
+    flags: 0,
+    false_alarms: 0
+  };
+}
+
+function closeRange(range, position, exit) {
+  const end = new Date(position.timestamp);
+  return { ...range, end, exit, close_price: position.close, duration: (end - range.timestamp) / 1000 };
+}
+
+// Walk a pool's positions oldest first and save every range they describe
+async function rebuildPool(store, poolAddress) {
+  let range = null;
+  let flagged = false; // A Price-UP/DOWN is waiting for the rebalance or the return into range
+  let saved = 0;
+
+  for (let skip = 0; ; skip += POSITION_BATCH_SIZE) {
+    const positions = await store.findPositions({ pool: poolAddress, skip, limit: POSITION_BATCH_SIZE });
+
+    for (const position of positions) {
+      const rebalance = isRebalanceRecord(position);
+
+      if (range && (rebalance || isRestartRecord(position, range))) {
+        const exit = rebalance ? (position.status === 'Open-UP' ? 'up' : 'down') : null;
+        await store.saveRange(closeRange(range, position, exit));
+        saved++;
+        range = null;
+      }
+      if (!range) {
+        range = openRange(position, rebalance ? position.status : 'Initial');
+        flagged = false;
+      }
+
+      if (position.status === 'Price-UP' || position.status === 'Price-DOWN') {
+        if (!flagged) range.flags++;
+        flagged = true;
+      } else if (position.status === 'Monitoring' && flagged) {
+        range.false_alarms++;
+        flagged = false;
+      }
+    }
+
+    if (positions.length < POSITION_BATCH_SIZE) break;
+  }
+
+  if (range) {
+    // The latest range stays open for the engine to carry on
+    await store.saveRange(range);
+    saved++;
+  }
+  return saved;
+}
+
+async function rebuild() {
+  const args = parseArgs(process.argv.slice(2));
+
+  console.log('═'.repeat(70));
+  console.log('📐 RANGE REBUILD');
+  console.log('═'.repeat(70));
+
+  try {
+    const entries = loadPoolRegistry();
+
+    await connectStorage();
+    const store = createStore({ simulated: Boolean(args.simulated) });
+    const startTime = Date.now();
+
+    // Ranges are rebuilt whole for every registered pool, so the old records go first
+    const { ranges: deleted } = await store.clear(['ranges']);
+    console.log(`\n🗑️  Deleted ${deleted} stored ranges`);
+
+    for (const entry of entries) {
+      const saved = await rebuildPool(store, entry.address);
+      console.log(`\n${entry.name} (${entry.address})`);
+      console.log(`  ✅ ${saved} ranges written`);
+    }
+
+    console.log(`\n⏱️  Duration: ${((Date.now() - startTime) / 1000).toFixed(2)} seconds\n`);
+  } catch (error) {
+    console.error('\n❌ Range rebuild failed:', error.message);
+    process.exit(1);
+  } finally {
+    await closeStorage();
+  }
+
+  process.exit(0);
+}
+
+rebuild();
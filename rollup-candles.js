@@ -0,0 +1,60 @@
+import { loadPoolRegistry } from './lib/pools.js';
+import { getRollupTimeframes } from './lib/candles.js';
+import { createStore, connectStorage, closeStorage } from './lib/stores/index.js';
+import { parseArgs } from './lib/args.js';
+import { getConfig } from './lib/config.js';
+
+// Rebuilds the 1m/5m/15m/1h/1d rollups from the stored base candles. The engine keeps
+// them current while running; this fills them in for history stored before that:
+//   node rollup-candles.js
+//   node rollup-candles.js --hours 48 --pool 0x6fb3...
+
+async function rollup() {
+  const args = parseArgs(process.argv.slice(2));
+
+  console.log('═'.repeat(70));
+  console.log('🧮 CANDLE ROLLUPS');
+  console.log('═'.repeat(70));
+
+  try {
+    const { poolsFile } = getConfig();
+    const entries = loadPoolRegistry(poolsFile)
+      .filter(entry => !args.pool || entry.address === args.pool.toLowerCase());
+    if (entries.length === 0) {
+      throw new Error(`Pool ${args.pool} is not in ${poolsFile}`);
+    }
+
+    await connectStorage();
+    const store = createStore();
+    const startTime = Date.now();
+
+    for (const entry of entries) {
+      const [first] = await store.findCandles({ pool: entry.address, limit: 1 });
+      if (!first) {
+        console.log(`\nℹ️  ${entry.name}: no candles stored`);
+        continue;
+      }
+
+      const to = new Date();
+      const from = args.hours
+        ? new Date(to.getTime() - parseFloat(args.hours) * 60 * 60 * 1000)
+        : first.timestamp;
+
+      console.log(`\n${entry.name} (${entry.address})`);
+      console.log(`  ${from.toISOString()} → ${to.toISOString()} | ${getRollupTimeframes(entry.candleInterval).join(', ')}`);
+      const rebuilt = await store.rebuildRollups(entry.address, entry.candleInterval, from, to);
+      console.log(`  ✅ ${rebuilt} rollup candles written`);
+    }
+
+    console.log(`\n⏱️  Duration: ${((Date.now() - startTime) / 1000).toFixed(2)} seconds\n`);
+  } catch (error) {
+    console.error('\n❌ Rollup failed:', error.message);
+    process.exit(1);
+  } finally {
+    await closeStorage();
+  }
+
+  process.exit(0);
+}
+
+rollup();
@@ -0,0 +1,51 @@
+import { connectMongoStorage, closeStorage } from './lib/stores/index.js';
+import Candle from './models/Candle.js';
+import Position from './models/Position.js';
+import { loadPoolRegistry } from './lib/pools.js';
+
+// One-off migration for multi-pool support: tag existing candles/positions with the
+// first registered pool and swap the candles' unique timestamp index for pool + timestamp.
+async function tagPool() {
+  try {
+    const [pool] = loadPoolRegistry();
+
+    console.log('🔗 Connecting to MongoDB...');
+    await connectMongoStorage();
+
+    console.log(`\n🏷️  Tagging untagged records with pool ${pool.name} (${pool.address})...`);
+    const candleResult = await Candle.updateMany({ pool: { $exists: false } }, { $set: { pool: pool.address } });
+    console.log(`✅ Tagged ${candleResult.modifiedCount} candles`);
+
+    const positionResult = await Position.updateMany({ pool: { $exists: false } }, { $set: { pool: pool.address } });
+    console.log(`✅ Tagged ${positionResult.modifiedCount} positions`);
+
+    console.log('\n🗑️  Dropping old unique index on candles.timestamp...');
+    try {
+      await Candle.collection.dropIndex('timestamp_-1');
+      console.log('✅ Successfully dropped unique timestamp index');
+    } catch (err) {
+      if (err.code === 27) {
+        console.log('ℹ️  Index already dropped or does not exist');
+      } else {
+        console.log('⚠️  Error dropping index:', err.message);
+      }
+    }
+
+    console.log('\n🔄 Syncing indexes...');
+    await Candle.syncIndexes();
+    await Position.syncIndexes();
+    console.log('Candle indexes:', Object.keys(await Candle.collection.getIndexes()));
+    console.log('Position indexes:', Object.keys(await Position.collection.getIndexes()));
+
+    console.log('\n✅ Pool tagging complete!');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  } finally {
+    await closeStorage();
+  }
+
+  process.exit(0);
+}
+
+tagPool();
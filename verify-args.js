@@ -0,0 +1,39 @@
+import { parseArgs } from './lib/args.js';
+
+// Checks the command-line parsing shared by the scripts (lib/args.js):
+//   npm run verify:args
+
+const CASES = [
+  ['flag with a value', ['--pool', '0xabc'], { pool: '0xabc' }],
+  ['bare flag last', ['--simulated'], { simulated: true }],
+  ['bare flag before another flag', ['--simulated', '--hours', '24'], { simulated: true, hours: '24' }],
+  ['value after a bare flag', ['--hours', '24', '--simulated'], { hours: '24', simulated: true }],
+  ['negative number is a value', ['--drift', '-0.5'], { drift: '-0.5' }],
+  ['stray arguments are ignored', ['extra', '--pool', '0xabc'], { pool: '0xabc' }]
+];
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+  console.log(`  ${ok ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+  if (!ok) failures++;
+}
+
+function verifyArgs() {
+  console.log('🔧 Verifying argument parsing...\n');
+
+  for (const [label, argv, expected] of CASES) {
+    const actual = parseArgs(argv);
+    check(label, JSON.stringify(actual) === JSON.stringify(expected), JSON.stringify(actual));
+  }
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} check(s) failed`);
+    process.exit(1);
+  }
+
+  console.log('\n✅ All argument checks passed!');
+  process.exit(0);
+}
+
+verifyArgs();
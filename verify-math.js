@@ -0,0 +1,119 @@
+import fs from 'fs';
+import {
+  MIN_TICK,
+  MAX_TICK,
+  MIN_SQRT_RATIO,
+  MAX_SQRT_RATIO,
+  getSqrtRatioAtTick,
+  getTickAtSqrtRatio,
+  sqrtPriceX96ToPriceString,
+  sqrtPriceX96ToPrice,
+  priceToSqrtPriceX96,
+  tickToPrice,
+  snapTickRange,
+  getAmountsForLiquidity,
+  getLiquidityForAmounts
+} from './lib/uniswap-math.js';
+import { loadPoolRegistry, resolvePool } from './lib/pools.js';
+
+// Checks lib/uniswap-math.js against the WETH/USDC pool's reference values in
+// weth_usdc.json (snapshots of its state and sqrtPriceX96 → price pairs):
+//   npm run verify:math
+
+const REFERENCE_FILE = 'weth_usdc.json';
+
+// 1.0001^tick reference prices (USDC per WETH)
+const TICK_PRICES = [
+  [196800, 2841.2661246131834683],
+  [196873, 2820.6014330090046640],
+  [196874, 2820.3194010688977742],
+  [196900, 2812.9964607145445575]
+];
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+  console.log(`  ${ok ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+  if (!ok) failures++;
+}
+
+function closeTo(actual, expected, relTolerance = 1e-12) {
+  return Math.abs(actual - expected) <= Math.abs(expected) * relTolerance;
+}
+
+async function verifyMath() {
+  console.log('🧮 Verifying Uniswap V3 math...\n');
+
+  // The registered pool the references were taken from (token0 = USDC, token1 = WETH)
+  const reference = JSON.parse(fs.readFileSync(REFERENCE_FILE, 'utf8'));
+  const entry = loadPoolRegistry().find(e => e.address === reference.pool);
+  if (!entry) {
+    console.error(`❌ ${REFERENCE_FILE} is for pool ${reference.pool}, which is not in the pool registry`);
+    process.exit(1);
+  }
+  const pool = await resolvePool(entry, null);
+
+  console.log('📐 TickMath bounds');
+  check('MIN_TICK → MIN_SQRT_RATIO', getSqrtRatioAtTick(MIN_TICK) === MIN_SQRT_RATIO);
+  check('MAX_TICK → MAX_SQRT_RATIO', getSqrtRatioAtTick(MAX_TICK) === MAX_SQRT_RATIO);
+  check('tick 0 → 2^96', getSqrtRatioAtTick(0) === 2n ** 96n);
+  check('MIN_SQRT_RATIO → MIN_TICK', getTickAtSqrtRatio(MIN_SQRT_RATIO) === MIN_TICK);
+  check('MAX_SQRT_RATIO - 1 → MAX_TICK - 1', getTickAtSqrtRatio(MAX_SQRT_RATIO - 1n) === MAX_TICK - 1);
+
+  console.log('\n📍 Tick prices');
+  TICK_PRICES.forEach(([tick, expected]) => {
+    const price = tickToPrice(tick, pool);
+    check(`tick ${tick}`, closeTo(price, expected), `${price}`);
+  });
+
+  console.log('\n💱 sqrtPriceX96 → price');
+  reference.prices.forEach(({ sqrtPriceX96, tick, price }) => {
+    const priceString = sqrtPriceX96ToPriceString(sqrtPriceX96, pool);
+    check(`$${price}`, priceString === price && closeTo(sqrtPriceX96ToPrice(sqrtPriceX96, pool), Number(price)), priceString);
+    check(`tick ${tick}`, getTickAtSqrtRatio(sqrtPriceX96) === tick, `${getTickAtSqrtRatio(sqrtPriceX96)}`);
+  });
+
+  for (const snapshot of reference.snapshots) {
+    console.log(`\n📸 ${snapshot.label}`);
+    const priceString = sqrtPriceX96ToPriceString(snapshot.sqrtPriceX96, pool);
+    check('exact price', priceString === snapshot.price, priceString);
+    check('tick from sqrtPrice', getTickAtSqrtRatio(snapshot.sqrtPriceX96) === snapshot.tick,
+      `${getTickAtSqrtRatio(snapshot.sqrtPriceX96)}`);
+
+    const roundTrip = priceToSqrtPriceX96(snapshot.price, pool);
+    const drift = roundTrip - BigInt(snapshot.sqrtPriceX96);
+    check('price → sqrtPrice round trip', getTickAtSqrtRatio(roundTrip) === snapshot.tick, `Δ ${drift}`);
+
+    const { tickLower, tickUpper } = snapTickRange(snapshot.tick - 10, snapshot.tick + 10, snapshot.tickSpacing);
+    check('range snapped to tickSpacing',
+      tickLower % snapshot.tickSpacing === 0 && tickUpper % snapshot.tickSpacing === 0
+        && tickLower <= snapshot.tick && tickUpper > snapshot.tick,
+      `[${tickLower}, ${tickUpper}]`);
+
+    const sqrtLower = getSqrtRatioAtTick(tickLower);
+    const sqrtUpper = getSqrtRatioAtTick(tickUpper);
+    const { amount0, amount1 } = getAmountsForLiquidity(snapshot.sqrtPriceX96, sqrtLower, sqrtUpper, snapshot.liquidity);
+    check('in-range liquidity holds both tokens', amount0 > 0n && amount1 > 0n,
+      `${Number(amount0) / 1e6} USDC, ${Number(amount1) / 1e18} WETH`);
+
+    const liquidity = getLiquidityForAmounts(snapshot.sqrtPriceX96, sqrtLower, sqrtUpper, amount0, amount1);
+    const error = BigInt(snapshot.liquidity) - liquidity;
+    check('liquidity → amounts → liquidity', error >= 0n && error * 10n ** 9n <= BigInt(snapshot.liquidity),
+      `Δ ${error}`);
+
+    const below = getAmountsForLiquidity(sqrtLower - 1n, sqrtLower, sqrtUpper, snapshot.liquidity);
+    const above = getAmountsForLiquidity(sqrtUpper, sqrtLower, sqrtUpper, snapshot.liquidity);
+    check('below range is all token0', below.amount1 === 0n && below.amount0 > 0n);
+    check('above range is all token1', above.amount0 === 0n && above.amount1 > 0n);
+  }
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} check(s) failed`);
+    process.exit(1);
+  }
+
+  console.log('\n✅ All math checks passed!');
+  process.exit(0);
+}
+
+verifyMath();
@@ -1,4 +1,4 @@
-import { connectDB } from './db.js';
+import { connectMongoStorage, closeStorage } from './lib/stores/index.js';
 import Candle from './models/Candle.js';
 import Position from './models/Position.js';
 
@@ -6,7 +6,7 @@ async function verifyData() {
   console.log('🔍 Verifying MongoDB data...\n');
 
   try {
-    await connectDB();
+    await connectMongoStorage();
 
     // Count candles
     const candleCount = await Candle.countDocuments();
@@ -31,11 +31,14 @@ async function verifyData() {
     });
 
     console.log('\n✅ Verification complete!');
-    process.exit(0);
   } catch (error) {
-    console.error('❌ Verification failed:', error);
+    console.error('❌ Verification failed:', error.message);
     process.exit(1);
+  } finally {
+    await closeStorage();
   }
+
+  process.exit(0);
 }
 
 verifyData();